@@ -0,0 +1,459 @@
+
+const User = require('../models/user.model');
+const Job = require('../models/job.model');
+const Bid = require('../models/bid.model');
+const Payment = require('../models/payment.model');
+const Dispute = require('../models/dispute.model');
+const AuditLog = require('../models/auditLog.model');
+const { validationResult } = require('express-validator');
+const { recordAction } = require('../utils/audit');
+const { disconnectUser } = require('../utils/realtime');
+const { schedulerStatus } = require('../utils/scheduler');
+const { escapeRegex, pagination } = require('../utils/query');
+
+const DAY = 24 * 3600000;
+
+
+// Search users by name or email, filtered by role and account status
+exports.listUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, userType, status } = req.query;
+    const { page, limit, skip } = pagination(req.query);
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ fullName: pattern }, { email: pattern }];
+    }
+    if (userType) {
+      filter.userType = userType;
+    }
+    if (status) {
+      filter.accountStatus = status;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select('-password').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ users, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [jobsPosted, bidsPlaced, moderationHistory] = await Promise.all([
+      Job.countDocuments({ jobPoster: user._id }),
+      Bid.countDocuments({ freelancer: user._id }),
+      AuditLog.find({ target: user._id })
+        .populate('admin', 'fullName')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({ user, jobsPosted, bidsPlaced, moderationHistory });
+  } catch (error) {
+    console.error('Get user error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load a user an admin may moderate, sending the error response otherwise
+const findModeratableUser = async (req, res) => {
+  const user = await User.findById(req.params.id).select('-password');
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  if (user.userType === 'admin') {
+    res.status(403).json({ message: 'Admin accounts cannot be moderated' });
+    return null;
+  }
+
+  return user;
+};
+
+
+// Suspend for `days` days, or until reinstated when no duration is given
+exports.suspendUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findModeratableUser(req, res);
+    if (!user) return;
+
+    const { reason, days } = req.body;
+
+    user.accountStatus = 'suspended';
+    user.suspendedUntil = days ? new Date(Date.now() + Number(days) * DAY) : null;
+    user.moderationReason = reason;
+    await user.save();
+
+    disconnectUser(user._id);
+    await recordAction(req.user._id, 'user.suspend', 'User', user, {
+      reason,
+      details: { suspendedUntil: user.suspendedUntil }
+    });
+
+    res.json({ message: 'User suspended', user });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.banUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findModeratableUser(req, res);
+    if (!user) return;
+
+    const { reason } = req.body;
+
+    user.accountStatus = 'banned';
+    user.suspendedUntil = null;
+    user.moderationReason = reason;
+    await user.save();
+
+    disconnectUser(user._id);
+    await recordAction(req.user._id, 'user.ban', 'User', user, { reason });
+
+    res.json({ message: 'User banned', user });
+  } catch (error) {
+    console.error('Ban user error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+// Lift a suspension or ban
+exports.reinstateUser = async (req, res) => {
+  try {
+    const user = await findModeratableUser(req, res);
+    if (!user) return;
+
+    if (user.accountStatus === 'active') {
+      return res.status(400).json({ message: 'This account is not suspended or banned' });
+    }
+
+    const previousStatus = user.accountStatus;
+    user.accountStatus = 'active';
+    user.suspendedUntil = null;
+    user.moderationReason = '';
+    await user.save();
+
+    await recordAction(req.user._id, 'user.reinstate', 'User', user, {
+      reason: req.body.reason || '',
+      details: { previousStatus }
+    });
+
+    res.json({ message: 'User reinstated', user });
+  } catch (error) {
+    console.error('Reinstate user error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+// Hide a job from search, listings and bidding. Work already in progress is left alone,
+// money on it is settled through disputes.
+exports.takeDownJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.takenDownAt) {
+      return res.status(400).json({ message: 'This job has already been taken down' });
+    }
+
+    const { reason } = req.body;
+
+    job.takenDownAt = new Date();
+    job.takedownReason = reason;
+    await job.save();
+
+    await recordAction(req.user._id, 'job.takedown', 'Job', job, {
+      reason,
+      details: { title: job.title, status: job.status }
+    });
+
+    res.json({ message: 'Job taken down', job });
+  } catch (error) {
+    console.error('Take down job error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.restoreJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (!job.takenDownAt) {
+      return res.status(400).json({ message: 'This job has not been taken down' });
+    }
+
+    job.takenDownAt = null;
+    job.takedownReason = '';
+    await job.save();
+
+    await recordAction(req.user._id, 'job.restore', 'Job', job, { reason: req.body.reason || '' });
+
+    res.json({ message: 'Job restored', job });
+  } catch (error) {
+    console.error('Restore job error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+// Hidden bids are left out of the poster's bid list and can't be accepted
+exports.hideBid = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bid = await Bid.findById(req.params.id);
+    if (!bid) {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    if (bid.hiddenAt) {
+      return res.status(400).json({ message: 'This bid is already hidden' });
+    }
+
+    if (bid.status === 'accepted') {
+      return res.status(400).json({ message: 'An accepted bid cannot be hidden' });
+    }
+
+    const { reason } = req.body;
+
+    bid.hiddenAt = new Date();
+    bid.hiddenReason = reason;
+    await bid.save();
+
+    await recordAction(req.user._id, 'bid.hide', 'Bid', bid, {
+      reason,
+      details: { job: bid.job, freelancer: bid.freelancer }
+    });
+
+    res.json({ message: 'Bid hidden', bid });
+  } catch (error) {
+    console.error('Hide bid error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.unhideBid = async (req, res) => {
+  try {
+    const bid = await Bid.findById(req.params.id);
+    if (!bid) {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    if (!bid.hiddenAt) {
+      return res.status(400).json({ message: 'This bid is not hidden' });
+    }
+
+    bid.hiddenAt = null;
+    bid.hiddenReason = '';
+    await bid.save();
+
+    await recordAction(req.user._id, 'bid.unhide', 'Bid', bid, { reason: req.body.reason || '' });
+
+    res.json({ message: 'Bid restored', bid });
+  } catch (error) {
+    console.error('Unhide bid error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Turn [{ _id, count }] aggregation output into { key: count }
+const countsByKey = (groups) =>
+  Object.fromEntries(groups.map(group => [group._id, group.count]));
+
+
+exports.getStats = async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 30 * DAY);
+
+    const [users, newUsers, jobs, takenDownJobs, overdueJobs, bids, hiddenBids, payments, disputes] = await Promise.all([
+      User.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            freelancer: { $sum: { $cond: [{ $eq: ['$userType', 'freelancer'] }, 1, 0] } },
+            jobPoster: { $sum: { $cond: [{ $eq: ['$userType', 'jobPoster'] }, 1, 0] } },
+            admin: { $sum: { $cond: [{ $eq: ['$userType', 'admin'] }, 1, 0] } },
+            suspended: { $sum: { $cond: [{ $eq: ['$accountStatus', 'suspended'] }, 1, 0] } },
+            banned: { $sum: { $cond: [{ $eq: ['$accountStatus', 'banned'] }, 1, 0] } }
+          }
+        }
+      ]),
+      User.countDocuments({ createdAt: { $gte: since } }),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Job.countDocuments({ takenDownAt: { $ne: null } }),
+      Job.countDocuments({ status: 'in-progress', overdueAt: { $ne: null } }),
+      Bid.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Bid.countDocuments({ hiddenAt: { $ne: null } }),
+      Payment.aggregate([
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' },
+            // Completed payments go out in full, splits only their released part
+            released: {
+              $sum: {
+                $switch: {
+                  branches: [
+                    { case: { $eq: ['$status', 'completed'] }, then: { $ifNull: ['$releasedAmount', '$amount'] } },
+                    { case: { $eq: ['$status', 'split'] }, then: { $ifNull: ['$releasedAmount', 0] } }
+                  ],
+                  default: 0
+                }
+              }
+            }
+          }
+        }
+      ]),
+      Dispute.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const { _id, ...userCounts } = users[0] || { total: 0 };
+    const paymentsByStatus = Object.fromEntries(payments.map(group => [group._id, group]));
+
+    res.json({
+      users: { ...userCounts, newLast30Days: newUsers },
+      jobs: { byStatus: countsByKey(jobs), takenDown: takenDownJobs, overdue: overdueJobs },
+      bids: { byStatus: countsByKey(bids), hidden: hiddenBids },
+      payments: {
+        byStatus: Object.fromEntries(payments.map(group => [group._id, { count: group.count, amount: group.amount }])),
+        heldInEscrow: (paymentsByStatus.pending?.amount || 0) + (paymentsByStatus.disputed?.amount || 0),
+        releasedToFreelancers: payments.reduce((sum, group) => sum + group.released, 0)
+      },
+      disputes: { byStatus: countsByKey(disputes) },
+      scheduledTasks: schedulerStatus()
+    });
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getAuditLog = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, targetType, target, admin } = req.query;
+    const { page, limit, skip } = pagination(req.query);
+
+    // Strings only, so a query like ?action[$ne]=x can't become an operator
+    const filter = {};
+    if (action) filter.action = String(action);
+    if (targetType) filter.targetType = String(targetType);
+    if (target) filter.target = String(target);
+    if (admin) filter.admin = String(admin);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('admin', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({ entries, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid filter' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,65 @@
+
+const { validationResult } = require('express-validator');
+const { posterAnalytics } = require('../utils/analytics');
+
+const DAY = 24 * 3600000;
+
+// MongoDB's "unrecognized time zone identifier"
+const UNKNOWN_TIMEZONE_CODE = 40485;
+
+// Catches most typos up front. MongoDB's timezone list can still differ from the runtime's,
+// so the aggregation's own rejection is mapped to a 400 as well.
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+
+// Spend and hiring analytics for the logged-in job poster. `from`/`to` default to the
+// last twelve months, `groupBy` to month and `timezone` to UTC.
+exports.getPosterAnalytics = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.userType !== 'jobPoster') {
+      return res.status(403).json({ message: 'Only job posters can access this endpoint' });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 365 * DAY);
+    const groupBy = req.query.groupBy || 'month';
+    const timezone = req.query.timezone || 'UTC';
+
+    if (from >= to) {
+      return res.status(400).json({ message: '`from` must be before `to`' });
+    }
+
+    // Daily buckets over years of data make for an unusable response
+    if (groupBy === 'day' && to - from > 366 * DAY) {
+      return res.status(400).json({ message: 'Daily grouping is limited to a range of one year' });
+    }
+
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ message: 'Unknown timezone' });
+    }
+
+    const analytics = await posterAnalytics(req.user._id, { from, to, groupBy, timezone });
+
+    res.json(analytics);
+  } catch (error) {
+    console.error('Get poster analytics error:', error);
+
+    if (error.code === UNKNOWN_TIMEZONE_CODE) {
+      return res.status(400).json({ message: 'Unknown timezone' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
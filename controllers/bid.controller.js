@@ -4,6 +4,21 @@ const Job = require('../models/job.model');
 const User = require('../models/user.model');
 const Chat = require('../models/chat.model');
 const { validationResult } = require('express-validator');
+const { holdFunds } = require('../utils/escrow');
+const { buildBidMilestones } = require('../utils/milestones');
+const { notify, notifyMany } = require('../utils/notifications');
+const { sendEmail } = require('../utils/email');
+const { deliveryDueDate } = require('../utils/jobDeadlines');
+const { canAccessJob, acceptInvitationByBid } = require('../utils/invitations');
+
+// A negotiation history entry recording the terms on the table after `action`
+const negotiationEntry = (action, userId, terms = {}, message = '') => ({
+  action,
+  by: userId,
+  amount: terms.amount,
+  deliveryTime: terms.deliveryTime,
+  message
+});
 
 
 exports.createBid = async (req, res) => {
@@ -26,10 +41,14 @@ exports.createBid = async (req, res) => {
       return res.status(404).json({ message: 'Job not found' });
     }
 
-    if (job.status !== 'open') {
+    if (job.status !== 'open' || job.takenDownAt) {
       return res.status(400).json({ message: 'Cannot bid on a job that is not open' });
     }
 
+    if (!(await canAccessJob(job, req.user))) {
+      return res.status(403).json({ message: 'This job is open to invited freelancers only' });
+    }
+
    
     const existingBid = await Bid.findOne({
       job: jobId,
@@ -40,14 +59,29 @@ exports.createBid = async (req, res) => {
       return res.status(400).json({ message: 'You have already placed a bid for this job' });
     }
 
+    // Milestone jobs are priced per milestone, the bid amount is their total
+    let bidAmount = amount;
+    let milestones = [];
+    if (job.milestones.length > 0) {
+      const offer = buildBidMilestones(job, req.body.milestones);
+      if (offer.error) {
+        return res.status(400).json({ message: offer.error });
+      }
+      bidAmount = offer.amount;
+      milestones = offer.milestones;
+    }
+
 
     const bid = await Bid.create({
       job: jobId,
       freelancer: req.user._id,
-      amount,
+      amount: bidAmount,
       deliveryTime,
-      proposal
+      proposal,
+      milestones,
+      negotiation: [negotiationEntry('submitted', req.user._id, { amount: bidAmount, deliveryTime })]
     });
+    await acceptInvitationByBid(job._id, req.user._id);
 
     let chat = await Chat.findOne({
       participants: { $all: [job.jobPoster, req.user._id] },
@@ -57,11 +91,16 @@ exports.createBid = async (req, res) => {
     if (!chat) {
       chat = await Chat.create({
         participants: [job.jobPoster, req.user._id],
-        job: jobId,
-        messages: []
+        job: jobId
       });
     }
 
+    await notify(job.jobPoster, 'bid.created', {
+      title: `New bid on "${job.title}"`,
+      body: `${user.fullName} bid ${bidAmount} with delivery in ${deliveryTime} days`,
+      data: { jobId: job._id, bidId: bid._id }
+    });
+
     res.status(201).json(bid);
   } catch (error) {
     console.error('Create bid error:', error);
@@ -87,8 +126,9 @@ exports.getBidsForJob = async (req, res) => {
     }
 
 
-    const bids = await Bid.find({ job: jobId })
+    const bids = await Bid.find({ job: jobId, hiddenAt: null })
       .populate('freelancer', 'fullName email skills')
+      .populate('negotiation.by', 'fullName')
       .sort({ createdAt: -1 });
 
     res.json(bids);
@@ -108,6 +148,7 @@ exports.getMyBids = async (req, res) => {
 
     const bids = await Bid.find({ freelancer: req.user._id })
       .populate('job', 'title budget deadline status')
+      .populate('negotiation.by', 'fullName')
       .sort({ createdAt: -1 });
 
     res.json(bids);
@@ -122,7 +163,7 @@ exports.acceptBid = async (req, res) => {
   try {
   
     const bid = await Bid.findById(req.params.id);
-    if (!bid) {
+    if (!bid || bid.hiddenAt) {
       return res.status(404).json({ message: 'Bid not found' });
     }
     
@@ -141,13 +182,54 @@ exports.acceptBid = async (req, res) => {
     if (job.status !== 'open') {
       return res.status(400).json({ message: 'Cannot accept bid for a job that is not open' });
     }
-    
-  
+
+    if (bid.status !== 'pending') {
+      return res.status(400).json({ message: `Cannot accept a bid that is ${bid.status}` });
+    }
     
    
+    // Claim the job so two accepts arriving together can't hire twice or hold escrow twice
+    const claimedJob = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'open' },
+      { status: 'in-progress', selectedBid: bid._id, deliveryDueAt: deliveryDueDate(bid.deliveryTime) },
+      { new: true }
+    );
+    if (!claimedJob) {
+      return res.status(409).json({ message: 'Another bid was already accepted for this job' });
+    }
+
+    claimedJob.milestones.forEach(milestone => {
+      const offer = bid.milestones.find(m => m.milestone.toString() === milestone._id.toString());
+      milestone.agreedAmount = offer ? offer.amount : milestone.amount;
+    });
+
+    // Milestone jobs are funded one milestone at a time instead of up front
+    let payment = null;
+    try {
+      await claimedJob.save();
+      if (claimedJob.milestones.length === 0) {
+        payment = await holdFunds(claimedJob, bid, req.user._id);
+      }
+    } catch (error) {
+      // Reopen the job so the poster can try again
+      await Job.updateOne(
+        { _id: job._id, status: 'in-progress', selectedBid: bid._id },
+        { status: 'open', selectedBid: null, deliveryDueAt: null }
+      );
+      throw error;
+    }
+
+    // Accepting hires at the bid's current terms, dropping any unanswered counter-offer
     bid.status = 'accepted';
+    bid.counterOffer = null;
+    bid.negotiation.push(negotiationEntry('accepted', req.user._id, bid));
     await bid.save();
     
+    const rejectedFreelancers = await Bid.find({
+      job: job._id,
+      _id: { $ne: bid._id },
+      status: 'pending'
+    }).distinct('freelancer');
    
     await Bid.updateMany(
       { 
@@ -155,25 +237,39 @@ exports.acceptBid = async (req, res) => {
         _id: { $ne: bid._id },  
         status: 'pending'      
       },
-      { status: 'rejected' }
+      {
+        $set: { status: 'rejected', counterOffer: null },
+        $push: { negotiation: negotiationEntry('rejected', req.user._id, {}, 'Another freelancer was hired') }
+      }
     );
     
-   
-    job.status = 'in-progress';
-    job.selectedBid = bid._id;
-    await job.save();
-    
     
     const chat = await Chat.create({
       participants: [job.jobPoster, bid.freelancer],
-      job: bid.job,
-      messages: []
+      job: bid.job
     });
     
+    await notify(bid.freelancer, 'bid.accepted', {
+      title: `Your bid on "${job.title}" was accepted`,
+      data: { jobId: job._id, bidId: bid._id, chatId: chat._id }
+    });
+    await notifyMany(rejectedFreelancers, 'bid.rejected', {
+      title: `Your bid on "${job.title}" was not selected`,
+      body: 'The job poster hired another freelancer',
+      data: { jobId: job._id }
+    });
+
+    const emailData = { jobId: job._id, jobTitle: job.title };
+    await sendEmail(bid.freelancer, 'bidAccepted', emailData);
+    for (const freelancerId of rejectedFreelancers) {
+      await sendEmail(freelancerId, 'bidRejected', emailData);
+    }
+
     res.json({
       message: 'Bid accepted successfully',
       bid,
-      job,
+      job: claimedJob,
+      payment,
       chatId: chat._id
     });
   } catch (error) {
@@ -206,13 +302,241 @@ exports.rejectBid = async (req, res) => {
       return res.status(400).json({ message: 'Cannot reject bid for a job that is not open' });
     }
 
+    if (bid.status !== 'pending') {
+      return res.status(400).json({ message: `Cannot reject a bid that is ${bid.status}` });
+    }
+
 
     bid.status = 'rejected';
+    bid.counterOffer = null;
+    bid.negotiation.push(negotiationEntry('rejected', req.user._id));
     await bid.save();
 
+    await notify(bid.freelancer, 'bid.rejected', {
+      title: `Your bid on "${job.title}" was rejected`,
+      data: { jobId: job._id, bidId: bid._id }
+    });
+    await sendEmail(bid.freelancer, 'bidRejected', { jobId: job._id, jobTitle: job.title });
+
     res.json({ message: 'Bid rejected successfully', bid });
   } catch (error) {
     console.error('Reject bid error:', error);
     res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// Load a pending bid on an open job for the freelancer who placed it or the job's poster,
+// sending the error response otherwise
+const findNegotiableBid = async (req, res, role) => {
+  const bid = await Bid.findById(req.params.id);
+  if (!bid) {
+    res.status(404).json({ message: 'Bid not found' });
+    return {};
+  }
+
+  const job = await Job.findById(bid.job);
+  if (!job) {
+    res.status(404).json({ message: 'Job not found' });
+    return {};
+  }
+
+  const ownerId = role === 'freelancer' ? bid.freelancer : job.jobPoster;
+  if (ownerId.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to change this bid' });
+    return {};
+  }
+
+  if (bid.status !== 'pending' || job.status !== 'open') {
+    res.status(400).json({ message: 'Only pending bids on open jobs can be changed' });
+    return {};
+  }
+
+  return { bid, job };
+};
+
+// Terms from the request body, falling back to the bid's current ones.
+// Milestone jobs are priced per milestone, so their amount is the milestone total.
+const resolveTerms = (job, bid, body) => {
+  const deliveryTime = body.deliveryTime !== undefined ? Number(body.deliveryTime) : bid.deliveryTime;
+
+  if (job.milestones.length > 0) {
+    if (body.milestones === undefined) {
+      return { amount: bid.amount, deliveryTime, milestones: bid.milestones.map(m => m.toObject()) };
+    }
+    if (!Array.isArray(body.milestones)) {
+      return { error: 'Bid milestones must be an array' };
+    }
+    // Milestones left out keep their current price
+    const offer = buildBidMilestones(job, [...bid.milestones.map(m => m.toObject()), ...body.milestones]);
+    if (offer.error) return offer;
+    return { amount: offer.amount, deliveryTime, milestones: offer.milestones };
+  }
+
+  const amount = body.amount !== undefined ? Number(body.amount) : bid.amount;
+  return { amount, deliveryTime, milestones: [] };
+};
+
+
+// Freelancer changes the terms or proposal of their pending bid
+exports.updateBid = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bid, job } = await findNegotiableBid(req, res, 'freelancer');
+    if (!bid) return;
+
+    if (bid.counterOffer) {
+      return res.status(400).json({ message: 'Accept or decline the counter-offer before editing your bid' });
+    }
+
+    const terms = resolveTerms(job, bid, req.body);
+    if (terms.error) {
+      return res.status(400).json({ message: terms.error });
+    }
+
+    bid.amount = terms.amount;
+    bid.deliveryTime = terms.deliveryTime;
+    bid.milestones = terms.milestones;
+    if (req.body.proposal !== undefined) {
+      bid.proposal = req.body.proposal;
+    }
+    bid.negotiation.push(negotiationEntry('edited', req.user._id, terms));
+    await bid.save();
+
+    await notify(job.jobPoster, 'bid.updated', {
+      title: `A bid on "${job.title}" was updated`,
+      body: `${req.user.fullName} now offers ${bid.amount} with delivery in ${bid.deliveryTime} days`,
+      data: { jobId: job._id, bidId: bid._id }
+    });
+
+    res.json(bid);
+  } catch (error) {
+    console.error('Update bid error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.withdrawBid = async (req, res) => {
+  try {
+    const { bid, job } = await findNegotiableBid(req, res, 'freelancer');
+    if (!bid) return;
+
+    bid.status = 'withdrawn';
+    bid.counterOffer = null;
+    bid.negotiation.push(negotiationEntry('withdrawn', req.user._id, {}, req.body?.message || ''));
+    await bid.save();
+
+    await notify(job.jobPoster, 'bid.updated', {
+      title: `A bid on "${job.title}" was withdrawn`,
+      body: `${req.user.fullName} withdrew their bid`,
+      data: { jobId: job._id, bidId: bid._id }
+    });
+
+    res.json({ message: 'Bid withdrawn', bid });
+  } catch (error) {
+    console.error('Withdraw bid error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Poster proposes different terms; a new counter-offer replaces an unanswered one
+exports.counterBid = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bid, job } = await findNegotiableBid(req, res, 'poster');
+    if (!bid) return;
+
+    const terms = resolveTerms(job, bid, req.body);
+    if (terms.error) {
+      return res.status(400).json({ message: terms.error });
+    }
+
+    const message = req.body.message || '';
+    bid.counterOffer = { ...terms, message, offeredAt: new Date() };
+    bid.negotiation.push(negotiationEntry('countered', req.user._id, terms, message));
+    await bid.save();
+
+    await notify(bid.freelancer, 'bid.countered', {
+      title: `Counter-offer on "${job.title}"`,
+      body: `The client proposes ${terms.amount} with delivery in ${terms.deliveryTime} days${message ? `: ${message}` : ''}`,
+      data: { jobId: job._id, bidId: bid._id }
+    });
+
+    res.json(bid);
+  } catch (error) {
+    console.error('Counter bid error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Freelancer answers the counter-offer. Accepting adopts its terms, the bid stays
+// pending until the poster accepts it.
+const respondToCounterOffer = (accept) => async (req, res) => {
+  try {
+    const { bid, job } = await findNegotiableBid(req, res, 'freelancer');
+    if (!bid) return;
+
+    if (!bid.counterOffer) {
+      return res.status(400).json({ message: 'There is no counter-offer to answer' });
+    }
+
+    const offer = bid.counterOffer;
+    const message = req.body?.message || '';
+
+    if (accept) {
+      bid.amount = offer.amount;
+      bid.deliveryTime = offer.deliveryTime;
+      bid.milestones = offer.milestones;
+      bid.negotiation.push(negotiationEntry('counter-accepted', req.user._id, offer, message));
+    } else {
+      bid.negotiation.push(negotiationEntry('counter-declined', req.user._id, bid, message));
+    }
+    bid.counterOffer = null;
+    await bid.save();
+
+    await notify(job.jobPoster, 'bid.updated', {
+      title: `Your counter-offer on "${job.title}" was ${accept ? 'accepted' : 'declined'}`,
+      body: accept
+        ? `${req.user.fullName} agreed to ${bid.amount} with delivery in ${bid.deliveryTime} days`
+        : `${req.user.fullName} keeps their offer of ${bid.amount} with delivery in ${bid.deliveryTime} days`,
+      data: { jobId: job._id, bidId: bid._id }
+    });
+
+    res.json(bid);
+  } catch (error) {
+    console.error(`${accept ? 'Accept' : 'Decline'} counter-offer error:`, error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.acceptCounterOffer = respondToCounterOffer(true);
+
+exports.declineCounterOffer = respondToCounterOffer(false);
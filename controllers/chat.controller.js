@@ -1,7 +1,36 @@
 
+const mongoose = require('mongoose');
 const Chat = require('../models/chat.model');
-const User = require('../models/user.model');
+const Message = require('../models/message.model');
 const { validationResult } = require('express-validator');
+const {
+  migrateLegacyMessages,
+  addMessage,
+  getMessages,
+  markChatRead,
+  markDelivered,
+  unreadCounts
+} = require('../utils/chatMessages');
+const { emitToUser, isOnline } = require('../utils/realtime');
+const { getStorage, sendAttachment } = require('../utils/storage');
+const { notifyNewMessage } = require('../utils/notifications');
+
+
+const isParticipant = (chat, userId) =>
+  chat.participants.some(p => (p._id || p).toString() === userId.toString());
+
+// Push an event to everyone in the chat except the user who caused it
+const notifyOthers = (chat, userId, event, payload) => {
+  chat.participants
+    .map(p => (p._id || p).toString())
+    .filter(id => id !== userId.toString())
+    .forEach(id => emitToUser(id, event, payload));
+};
+
+const withPresence = (participant) => ({
+  ...participant.toObject(),
+  online: isOnline(participant._id)
+});
 
 
 exports.getChats = async (req, res) => {
@@ -9,25 +38,49 @@ exports.getChats = async (req, res) => {
     const chats = await Chat.find({
       participants: { $in: [req.user._id] }
     })
-      .populate('participants', 'fullName email profileImage')
+      .populate('participants', 'fullName email profileImage lastSeenAt')
       .populate('job', 'title')
       .sort({ lastActivity: -1 });
 
-  
+    for (const chat of chats) {
+      await migrateLegacyMessages(chat);
+    }
+
+    const chatIds = chats.map(chat => chat._id);
+
+    // Listing chats brings every new message to this client
+    const delivered = await markDelivered(chatIds, req.user._id);
+    chats
+      .filter(chat => delivered.chatIds.some(id => id.equals(chat._id)))
+      .forEach(chat => notifyOthers(chat, req.user._id, 'messagesDelivered', {
+        chatId: chat._id,
+        jobId: chat.job?._id,
+        deliveredTo: req.user._id,
+        deliveredAt: delivered.deliveredAt
+      }));
+
+    const unread = await unreadCounts(chatIds, req.user._id);
+
+    // The snapshot on the chat doesn't track receipts, so load the live messages
+    const lastMessages = await Message.find({
+      _id: { $in: chats.map(chat => chat.lastMessage?._id).filter(Boolean) }
+    });
+    const lastMessageById = new Map(lastMessages.map(message => [message._id.toString(), message]));
+
     const formattedChats = chats.map(chat => {
-   
-      const otherParticipants = chat.participants.filter(
-        participant => participant._id.toString() !== req.user._id
-      );
+
+      const otherParticipants = chat.participants
+        .filter(participant => participant._id.toString() !== req.user._id.toString())
+        .map(withPresence);
+
+      const snapshot = chat.lastMessage?.timestamp ? chat.lastMessage : null;
 
       return {
         _id: chat._id,
         otherParticipants,
         job: chat.job,
-        lastMessage: chat.messages.length > 0 ? chat.messages[chat.messages.length - 1] : null,
-        unreadCount: chat.messages.filter(
-          msg => !msg.read && msg.sender.toString() !== req.user._id
-        ).length,
+        lastMessage: snapshot && (lastMessageById.get(snapshot._id?.toString()) || snapshot),
+        unreadCount: unread.get(chat._id.toString()) || 0,
         lastActivity: chat.lastActivity
       };
     });
@@ -39,11 +92,12 @@ exports.getChats = async (req, res) => {
   }
 };
 
-
+// Chat details without messages, those are paged through getChatMessages
 exports.getChatById = async (req, res) => {
   try {
     const chat = await Chat.findById(req.params.id)
-      .populate('participants', 'fullName email profileImage')
+      .select('-messages')
+      .populate('participants', 'fullName email profileImage lastSeenAt')
       .populate('job', 'title');
 
     if (!chat) {
@@ -51,21 +105,103 @@ exports.getChatById = async (req, res) => {
     }
 
 
-    if (!chat.participants.some(p => p._id.toString() === req.user._id)) {
+    if (!isParticipant(chat, req.user._id)) {
       return res.status(403).json({ message: 'Not authorized to view this chat' });
     }
 
-  
-    chat.messages.forEach(msg => {
-      if (msg.sender.toString() !== req.user._id && !msg.read) {
-        msg.read = true;
-      }
+    res.json({
+      ...chat.toObject(),
+      participants: chat.participants.map(withPresence)
     });
-    await chat.save();
-
-    res.json(chat);
   } catch (error) {
     console.error('Get chat by ID error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getChatMessages = async (req, res) => {
+  try {
+    const { before, limit } = req.query;
+
+    if (before && !mongoose.Types.ObjectId.isValid(before)) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const chat = await Chat.findById(req.params.id);
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    if (!isParticipant(chat, req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this chat' });
+    }
+
+    const page = await getMessages(chat, { before, limit });
+
+    // Opening the newest page means the user has caught up
+    if (!before) {
+      const { count, readAt } = await markChatRead(chat, req.user._id);
+      if (count > 0) {
+        notifyOthers(chat, req.user._id, 'messagesRead', {
+          chatId: chat._id,
+          jobId: chat.job,
+          readBy: req.user._id,
+          readAt
+        });
+      }
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Get chat messages error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.markChatAsRead = async (req, res) => {
+  try {
+    const chat = await Chat.findById(req.params.id);
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    if (!isParticipant(chat, req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to update this chat' });
+    }
+
+    const { count, readAt } = await markChatRead(chat, req.user._id);
+
+    if (count > 0) {
+      notifyOthers(chat, req.user._id, 'messagesRead', {
+        chatId: chat._id,
+        jobId: chat.job,
+        readBy: req.user._id,
+        readAt
+      });
+    }
+
+    res.json({ message: 'Messages marked as read', updated: count, readAt });
+  } catch (error) {
+    console.error('Mark chat as read error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -85,29 +221,145 @@ exports.sendMessage = async (req, res) => {
       return res.status(404).json({ message: 'Chat not found' });
     }
 
-   
-    if (!chat.participants.some(p => p.toString() === req.user._id)) {
+
+    if (!isParticipant(chat, req.user._id)) {
       return res.status(403).json({ message: 'Not authorized to send messages in this chat' });
     }
 
-    const newMessage = {
-      sender: req.user.userId,
+    const recipients = chat.participants.filter(p => p.toString() !== req.user._id.toString());
+    const message = await addMessage(chat, {
+      sender: req.user._id,
       content,
-      timestamp: Date.now(),
-      read: false
-    };
-
-    chat.messages.push(newMessage);
-    chat.lastActivity = Date.now();
-    
-    await chat.save();
+      delivered: recipients.some(isOnline)
+    });
 
-    
-    const addedMessage = chat.messages[chat.messages.length - 1];
+    notifyOthers(chat, req.user._id, 'newMessage', { chatId: chat._id, jobId: chat.job, message });
+    await notifyNewMessage(chat, message, req.user);
 
-    res.status(201).json(addedMessage);
+    res.status(201).json(message);
   } catch (error) {
     console.error('Send message error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
     res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+
+// Multipart message: `files` field plus an optional text `content`
+// Runs before the upload so files from outside the chat are never read into memory
+exports.requireChatParticipant = async (req, res, next) => {
+  try {
+    const chat = await Chat.findById(req.params.id);
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    if (!isParticipant(chat, req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to send messages in this chat' });
+    }
+
+    req.chat = chat;
+    next();
+  } catch (error) {
+    console.error('Find chat error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.sendAttachmentMessage = async (req, res) => {
+  const storage = getStorage();
+  const storedKeys = [];
+
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'At least one file is required' });
+    }
+
+    // Loaded and checked by requireChatParticipant
+    const { chat } = req;
+
+    const attachments = [];
+    for (const file of files) {
+      const key = await storage.save(file.buffer, {
+        folder: `chats/${chat._id}`,
+        filename: file.originalname
+      });
+      storedKeys.push(key);
+      attachments.push({
+        key,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedBy: req.user._id
+      });
+    }
+
+    const recipients = chat.participants.filter(p => p.toString() !== req.user._id.toString());
+    const message = await addMessage(chat, {
+      sender: req.user._id,
+      content: req.body.content || '',
+      attachments,
+      delivered: recipients.some(isOnline)
+    });
+
+    notifyOthers(chat, req.user._id, 'newMessage', { chatId: chat._id, jobId: chat.job, message });
+    await notifyNewMessage(chat, message, req.user);
+
+    res.status(201).json(message);
+  } catch (error) {
+    console.error('Send attachment message error:', error);
+
+    // Don't leave orphaned files behind when the message wasn't stored
+    await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => {})));
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const chat = await Chat.findById(req.params.id);
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    // Admins read chat files when arbitrating disputes
+    if (!isParticipant(chat, req.user._id) && req.user.userType !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to download files from this chat' });
+    }
+
+    const message = await Message.findOne({ _id: req.params.messageId, chat: chat._id });
+    const attachment = message && message.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    await sendAttachment(res, attachment);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
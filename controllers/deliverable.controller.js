@@ -0,0 +1,280 @@
+
+const Deliverable = require('../models/deliverable.model');
+const Job = require('../models/job.model');
+const Bid = require('../models/bid.model');
+const { validationResult } = require('express-validator');
+const { getStorage, sendAttachment } = require('../utils/storage');
+const { autoAcceptDate, acceptDeliverable } = require('../utils/deliverables');
+
+
+// Load the job and its accepted freelancer, sending a 404 when either is missing
+const findJobAndFreelancer = async (req, res) => {
+  const job = await Job.findById(req.params.id);
+  if (!job) {
+    res.status(404).json({ message: 'Job not found' });
+    return {};
+  }
+
+  const bid = job.selectedBid && await Bid.findById(job.selectedBid);
+  if (!bid) {
+    res.status(400).json({ message: 'This job has no accepted bid' });
+    return {};
+  }
+
+  return { job, freelancerId: bid.freelancer.toString() };
+};
+
+
+// Runs before the upload so only the hired freelancer's files are read into memory
+exports.requireHiredFreelancer = async (req, res, next) => {
+  try {
+    const { job, freelancerId } = await findJobAndFreelancer(req, res);
+    if (!job) return;
+
+    if (freelancerId !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the hired freelancer can deliver this job' });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    console.error('Find job for delivery error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Freelancer delivers the work: multipart `files` plus `notes`
+exports.submitDeliverable = async (req, res) => {
+  const storage = getStorage();
+  const storedKeys = [];
+
+  try {
+    // Loaded and checked by requireHiredFreelancer
+    const { job } = req;
+
+    if (job.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Only jobs in progress can be delivered' });
+    }
+
+    if (job.milestones.length > 0) {
+      return res.status(400).json({ message: 'Milestone jobs are delivered one milestone at a time' });
+    }
+
+    const notes = (req.body.notes || '').trim();
+    const files = req.files || [];
+    if (!notes && files.length === 0) {
+      return res.status(400).json({ message: 'A delivery needs notes or at least one file' });
+    }
+
+    const pending = await Deliverable.findOne({ job: job._id, status: 'submitted' });
+    if (pending) {
+      return res.status(400).json({ message: 'The previous delivery is still awaiting a response' });
+    }
+
+    const attachments = [];
+    for (const file of files) {
+      const key = await storage.save(file.buffer, {
+        folder: `deliverables/${job._id}`,
+        filename: file.originalname
+      });
+      storedKeys.push(key);
+      attachments.push({
+        key,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedBy: req.user._id
+      });
+    }
+
+    const deliverable = await Deliverable.create({
+      job: job._id,
+      freelancer: req.user._id,
+      notes,
+      attachments,
+      autoAcceptAt: autoAcceptDate()
+    });
+
+    res.status(201).json(deliverable);
+  } catch (error) {
+    console.error('Submit deliverable error:', error);
+
+    // Don't leave orphaned files behind when the delivery wasn't stored
+    await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => {})));
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getDeliverables = async (req, res) => {
+  try {
+    const { job, freelancerId } = await findJobAndFreelancer(req, res);
+    if (!job) return;
+
+    const userId = req.user._id.toString();
+    if (job.jobPoster.toString() !== userId && freelancerId !== userId) {
+      return res.status(403).json({ message: 'Not authorized to view deliveries for this job' });
+    }
+
+    const deliverables = await Deliverable.find({ job: job._id }).sort({ createdAt: -1 });
+
+    res.json({
+      revisionLimit: job.revisionLimit,
+      revisionsUsed: job.revisionsUsed,
+      deliverables
+    });
+  } catch (error) {
+    console.error('Get deliverables error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load a submitted deliverable of a job the requester posted, for accept and revision
+const findDeliverableForPoster = async (req, res) => {
+  const job = await Job.findById(req.params.id);
+  if (!job) {
+    res.status(404).json({ message: 'Job not found' });
+    return {};
+  }
+
+  if (job.jobPoster.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to respond to this delivery' });
+    return {};
+  }
+
+  const deliverable = await Deliverable.findOne({ _id: req.params.deliverableId, job: job._id });
+  if (!deliverable) {
+    res.status(404).json({ message: 'Delivery not found' });
+    return {};
+  }
+
+  if (job.status !== 'in-progress' || deliverable.status !== 'submitted') {
+    res.status(400).json({ message: 'This delivery is no longer awaiting a response' });
+    return {};
+  }
+
+  return { job, deliverable };
+};
+
+
+exports.acceptDeliverable = async (req, res) => {
+  try {
+    const { job, deliverable } = await findDeliverableForPoster(req, res);
+    if (!job) return;
+
+    const payment = await acceptDeliverable(deliverable, job, req.user._id);
+    if (!payment) {
+      return res.status(409).json({ message: 'This delivery was already answered or its payment was already moved' });
+    }
+
+    res.json({
+      message: 'Delivery accepted, job completed and payment released',
+      deliverable,
+      job,
+      payment
+    });
+  } catch (error) {
+    console.error('Accept deliverable error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.requestRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { job, deliverable } = await findDeliverableForPoster(req, res);
+    if (!job) return;
+
+    if (job.revisionsUsed >= job.revisionLimit) {
+      return res.status(400).json({
+        message: `The revision limit of ${job.revisionLimit} has been reached, the delivery must be accepted`
+      });
+    }
+
+    // Claim the delivery so this can't land after an accept or auto-accept released the payment
+    const updated = await Deliverable.findOneAndUpdate(
+      { _id: deliverable._id, status: 'submitted' },
+      { status: 'revision-requested', revisionComments: req.body.comments, respondedAt: new Date() },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: 'This delivery was already answered' });
+    }
+
+    const { revisionsUsed } = await Job.findByIdAndUpdate(
+      job._id,
+      { $inc: { revisionsUsed: 1 } },
+      { new: true }
+    ).select('revisionsUsed');
+
+    res.json({
+      message: 'Revision requested',
+      deliverable: updated,
+      revisionsLeft: job.revisionLimit - revisionsUsed
+    });
+  } catch (error) {
+    console.error('Request revision error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.downloadDeliverableFile = async (req, res) => {
+  try {
+    const { job, freelancerId } = await findJobAndFreelancer(req, res);
+    if (!job) return;
+
+    // Admins read delivered files when arbitrating disputes
+    const userId = req.user._id.toString();
+    if (job.jobPoster.toString() !== userId && freelancerId !== userId && req.user.userType !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to download files for this job' });
+    }
+
+    const deliverable = await Deliverable.findOne({ _id: req.params.deliverableId, job: job._id });
+    const attachment = deliverable && deliverable.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    await sendAttachment(res, attachment);
+  } catch (error) {
+    console.error('Download deliverable file error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
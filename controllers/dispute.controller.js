@@ -0,0 +1,489 @@
+
+const Dispute = require('../models/dispute.model');
+const Job = require('../models/job.model');
+const Bid = require('../models/bid.model');
+const Chat = require('../models/chat.model');
+const Message = require('../models/message.model');
+const Payment = require('../models/payment.model');
+const Deliverable = require('../models/deliverable.model');
+const { validationResult } = require('express-validator');
+const { getStorage, sendAttachment } = require('../utils/storage');
+const { freezeFunds, releaseFunds, refundFunds, splitFunds } = require('../utils/escrow');
+const { recordAction } = require('../utils/audit');
+const { notifyJobStatus } = require('../utils/notifications');
+
+
+const isParty = (dispute, userId) =>
+  dispute.jobPoster.toString() === userId.toString() ||
+  dispute.freelancer.toString() === userId.toString();
+
+const canView = (dispute, user) => user.userType === 'admin' || isParty(dispute, user._id);
+
+// Store uploaded evidence files, returning attachments and the keys written
+const storeEvidenceFiles = async (files, disputeFolder, userId) => {
+  const storage = getStorage();
+  const attachments = [];
+  const keys = [];
+
+  for (const file of files) {
+    const key = await storage.save(file.buffer, {
+      folder: `disputes/${disputeFolder}`,
+      filename: file.originalname
+    });
+    keys.push(key);
+    attachments.push({
+      key,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedBy: userId
+    });
+  }
+
+  return { attachments, keys };
+};
+
+const removeFiles = (keys) =>
+  Promise.all(keys.map(key => getStorage().remove(key).catch(() => {})));
+
+
+// Runs before the upload so evidence files are only read for the job's two parties
+exports.requireJobParty = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const bid = job.selectedBid && await Bid.findById(job.selectedBid);
+    if (!bid) {
+      return res.status(400).json({ message: 'This job has no accepted bid' });
+    }
+
+    const userId = req.user._id.toString();
+    if (job.jobPoster.toString() !== userId && bid.freelancer.toString() !== userId) {
+      return res.status(403).json({ message: 'Not authorized to dispute this job' });
+    }
+
+    req.job = job;
+    req.bid = bid;
+    next();
+  } catch (error) {
+    console.error('Find job for dispute error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Either party opens a dispute on an in-progress job, freezing the job and its escrow
+exports.openDispute = async (req, res) => {
+  let storedKeys = [];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Loaded and checked by requireJobParty
+    const { job, bid } = req;
+
+    if (job.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Only jobs in progress can be disputed' });
+    }
+
+    // Claim the job so a completion, refund or second dispute can't run alongside this one
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'in-progress' },
+      { status: 'disputed' }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'This job is no longer in progress' });
+    }
+    job.status = 'disputed';
+
+    const { reason, evidence } = req.body;
+    const frozenPayments = [];
+    let dispute;
+    try {
+      const stored = await storeEvidenceFiles(req.files || [], job._id, req.user._id);
+      storedKeys = stored.keys;
+
+      const heldPayments = await Payment.find({ job: job._id, status: 'pending' });
+      for (const payment of heldPayments) {
+        const frozen = await freezeFunds(payment, req.user._id, 'Dispute opened');
+        if (frozen) frozenPayments.push(frozen);
+      }
+
+      dispute = await Dispute.create({
+        job: job._id,
+        jobPoster: job.jobPoster,
+        freelancer: bid.freelancer,
+        openedBy: req.user._id,
+        reason,
+        evidence: (evidence || stored.attachments.length > 0)
+          ? [{ submittedBy: req.user._id, text: evidence || '', attachments: stored.attachments }]
+          : [],
+        payments: frozenPayments.map(payment => payment._id)
+      });
+    } catch (error) {
+      // Put the job and its escrow back as they were so the dispute can be opened again
+      await Payment.updateMany(
+        { _id: { $in: frozenPayments.map(payment => payment._id) }, status: 'disputed' },
+        {
+          $set: { status: 'pending' },
+          $push: { history: { status: 'pending', action: 'unfrozen', by: req.user._id, note: 'Opening the dispute failed' } }
+        }
+      );
+      await Job.updateOne({ _id: job._id, status: 'disputed' }, { status: 'in-progress' });
+      throw error;
+    }
+
+    res.status(201).json(dispute);
+  } catch (error) {
+    console.error('Open dispute error:', error);
+
+    await removeFiles(storedKeys);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+// Runs before the upload so evidence files are only read for the dispute's parties
+exports.requireDisputeParty = async (req, res, next) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (!isParty(dispute, req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to add evidence to this dispute' });
+    }
+
+    req.dispute = dispute;
+    next();
+  } catch (error) {
+    console.error('Find dispute error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.addEvidence = async (req, res) => {
+  let storedKeys = [];
+
+  try {
+    // Loaded and checked by requireDisputeParty
+    const { dispute } = req;
+
+    if (dispute.status !== 'open') {
+      return res.status(400).json({ message: 'This dispute has already been resolved' });
+    }
+
+    const text = (req.body.text || '').trim();
+    const files = req.files || [];
+    if (!text && files.length === 0) {
+      return res.status(400).json({ message: 'Evidence needs text or at least one file' });
+    }
+
+    const stored = await storeEvidenceFiles(files, dispute.job, req.user._id);
+    storedKeys = stored.keys;
+
+    dispute.evidence.push({ submittedBy: req.user._id, text, attachments: stored.attachments });
+    await dispute.save();
+
+    res.status(201).json(dispute.evidence[dispute.evidence.length - 1]);
+  } catch (error) {
+    console.error('Add evidence error:', error);
+
+    await removeFiles(storedKeys);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getMyDisputes = async (req, res) => {
+  try {
+    const disputes = await Dispute.find({
+      $or: [{ jobPoster: req.user._id }, { freelancer: req.user._id }]
+    })
+      .populate('job', 'title status')
+      .sort({ createdAt: -1 });
+
+    res.json(disputes);
+  } catch (error) {
+    console.error('Get my disputes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getDisputeById = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (!canView(dispute, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this dispute' });
+    }
+
+    await dispute.populate([
+      { path: 'job', select: 'title status budget' },
+      { path: 'jobPoster', select: 'fullName' },
+      { path: 'freelancer', select: 'fullName' },
+      { path: 'payments' }
+    ]);
+
+    res.json(dispute);
+  } catch (error) {
+    console.error('Get dispute by ID error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.downloadEvidenceFile = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (!canView(dispute, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to download files for this dispute' });
+    }
+
+    const evidence = dispute.evidence.id(req.params.evidenceId);
+    const attachment = evidence && evidence.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    await sendAttachment(res, attachment);
+  } catch (error) {
+    console.error('Download evidence file error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.listDisputes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = String(req.query.status);
+    }
+
+    const disputes = await Dispute.find(filter)
+      .populate('job', 'title status budget')
+      .populate('jobPoster', 'fullName email')
+      .populate('freelancer', 'fullName email')
+      .populate('openedBy', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.json(disputes);
+  } catch (error) {
+    console.error('List disputes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Everything an admin needs to arbitrate: the dispute, chat history between the parties,
+// deliveries, milestones and escrowed payments
+exports.getDisputeForReview = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('jobPoster', 'fullName email')
+      .populate('freelancer', 'fullName email')
+      .populate('openedBy', 'fullName')
+      .populate('payments');
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    const job = await Job.findById(dispute.job);
+
+    const chats = await Chat.find({
+      job: dispute.job,
+      participants: { $all: [dispute.jobPoster._id, dispute.freelancer._id] }
+    }).select('_id');
+
+    const messages = await Message.find({ chat: { $in: chats.map(chat => chat._id) } })
+      .populate('sender', 'fullName')
+      .sort({ _id: 1 });
+
+    const deliverables = await Deliverable.find({ job: dispute.job }).sort({ createdAt: 1 });
+
+    res.json({ dispute, job, messages, deliverables });
+  } catch (error) {
+    console.error('Get dispute for review error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin resolves with a full release, a full refund or a split of the frozen escrow
+exports.resolveDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(400).json({ message: 'This dispute has already been resolved' });
+    }
+
+    const job = await Job.findById(dispute.job);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const { outcome, note = '' } = req.body;
+    const payments = await Payment.find({ _id: { $in: dispute.payments }, status: 'disputed' });
+    const total = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+    let freelancerAmount = outcome === 'release' ? total : 0;
+    if (outcome === 'split') {
+      freelancerAmount = Number(req.body.freelancerAmount);
+      if (!Number.isFinite(freelancerAmount) || freelancerAmount < 0 || freelancerAmount > total) {
+        return res.status(400).json({
+          message: `Freelancer amount must be between 0 and the ${total} held in escrow`
+        });
+      }
+    }
+
+    // Claim the dispute so two admins can't both move the frozen funds
+    const claimed = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: 'open' },
+      { status: 'resolving' }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'This dispute is already being resolved' });
+    }
+
+    const resolutionNote = `Dispute resolved: ${outcome}${note ? ` (${note})` : ''}`;
+
+    // Payments another request moved in the meantime come back null and are skipped
+    const moved = [];
+    try {
+      if (outcome === 'release') {
+        for (const payment of payments) {
+          moved.push(await releaseFunds(payment, req.user._id, resolutionNote, { resolvingDispute: true }));
+        }
+      } else if (outcome === 'refund') {
+        for (const payment of payments) {
+          moved.push(await refundFunds(payment, req.user._id, resolutionNote, { resolvingDispute: true }));
+        }
+      } else {
+        // Pay the freelancer's share from the payments in order, refunding the rest
+        let remaining = freelancerAmount;
+        for (const payment of payments) {
+          const share = Math.min(remaining, payment.amount);
+          remaining -= share;
+          moved.push(await splitFunds(payment, share, req.user._id, resolutionNote, { resolvingDispute: true }));
+        }
+      }
+    } catch (error) {
+      // Reopen so the resolution can be retried; payments already moved are skipped then
+      await Dispute.updateOne({ _id: dispute._id, status: 'resolving' }, { status: 'open' });
+      throw error;
+    }
+    const resolvedPayments = moved.filter(Boolean);
+
+    const now = new Date();
+    if (outcome === 'refund') {
+      job.status = 'canceled';
+      job.canceledAt = now;
+    } else {
+      job.status = 'completed';
+      job.completedAt = now;
+    }
+    if (outcome === 'release') {
+      const releasedIds = resolvedPayments.map(payment => payment._id.toString());
+      job.milestones
+        .filter(milestone => milestone.payment && releasedIds.includes(milestone.payment.toString()))
+        .forEach(milestone => {
+          milestone.status = 'paid';
+          milestone.paidAt = now;
+        });
+    }
+    await job.save();
+
+    dispute.status = 'resolved';
+    dispute.resolution = {
+      outcome,
+      freelancerAmount,
+      posterAmount: total - freelancerAmount,
+      note,
+      resolvedBy: req.user._id,
+      resolvedAt: now
+    };
+    await dispute.save();
+
+    await recordAction(req.user._id, 'dispute.resolve', 'Dispute', dispute, {
+      reason: note,
+      details: { outcome, freelancerAmount, posterAmount: total - freelancerAmount }
+    });
+
+    await notifyJobStatus(job, outcome === 'refund' ? 'job.canceled' : 'job.completed', req.user._id);
+
+    res.json({ message: 'Dispute resolved', dispute, job, payments: resolvedPayments });
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,105 @@
+
+const User = require('../models/user.model');
+const { EMAIL_CATEGORIES, verifyUnsubscribeToken } = require('../utils/email');
+
+
+// Payload of a valid unsubscribe token for a known category, null otherwise
+const unsubscribePayload = (token) => {
+  const payload = typeof token === 'string' ? verifyUnsubscribeToken(token) : null;
+  return payload && EMAIL_CATEGORIES.includes(payload.category) ? payload : null;
+};
+
+// Target of the link in every email. Only asks for confirmation: mail scanners and link
+// prefetchers open links too, so the unsubscribe itself needs the POST below.
+exports.confirmUnsubscribe = (req, res) => {
+  const payload = unsubscribePayload(req.query.token);
+  if (!payload) {
+    return res.status(400).json({ message: 'Invalid unsubscribe link' });
+  }
+
+  const action = `/email/unsubscribe?token=${encodeURIComponent(req.query.token)}`;
+  res.format({
+    html: () => res.send(
+      '<!doctype html><html><body style="font-family:sans-serif">' +
+      `<p>Stop receiving ${payload.category} emails from FreelanceHub?</p>` +
+      `<form method="post" action="${action}"><button type="submit">Unsubscribe</button></form>` +
+      '</body></html>'
+    ),
+    default: () => res.json({
+      message: `Send a POST to this link to unsubscribe from ${payload.category} emails`,
+      category: payload.category
+    })
+  });
+};
+
+// Confirmation form and one-click unsubscribe from mail clients (List-Unsubscribe-Post),
+// works without logging in
+exports.unsubscribe = async (req, res) => {
+  try {
+    const payload = unsubscribePayload(req.query.token);
+    if (!payload) {
+      return res.status(400).json({ message: 'Invalid unsubscribe link' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      payload.userId,
+      { $set: { [`emailPreferences.${payload.category}`]: false } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: `You have been unsubscribed from ${payload.category} emails`,
+      emailPreferences: user.emailPreferences
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('emailPreferences');
+    res.json(user.emailPreferences);
+  } catch (error) {
+    console.error('Get email preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+// Partial update: only the categories present in the body change
+exports.updatePreferences = async (req, res) => {
+  try {
+    const preferences = req.body || {};
+
+    const unknown = Object.keys(preferences).filter(key => !EMAIL_CATEGORIES.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        message: `Unknown email categories: ${unknown.join(', ')}. Allowed: ${EMAIL_CATEGORIES.join(', ')}`
+      });
+    }
+
+    const invalid = Object.entries(preferences).filter(([, value]) => typeof value !== 'boolean');
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: 'Preferences must be true or false' });
+    }
+
+    const update = Object.fromEntries(
+      Object.entries(preferences).map(([key, value]) => [`emailPreferences.${key}`, value])
+    );
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+      .select('emailPreferences');
+
+    res.json(user.emailPreferences);
+  } catch (error) {
+    console.error('Update email preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,215 @@
+
+const Invitation = require('../models/invitation.model');
+const Job = require('../models/job.model');
+const Bid = require('../models/bid.model');
+const User = require('../models/user.model');
+const Chat = require('../models/chat.model');
+const { validationResult } = require('express-validator');
+const { addMessage } = require('../utils/chatMessages');
+const { notify } = require('../utils/notifications');
+
+
+// Invite freelancers to bid on an open job, opening a chat with each of them.
+// Only invited freelancers can see and bid on invite-only jobs.
+exports.inviteFreelancers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.jobPoster.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to invite freelancers to this job' });
+    }
+
+    if (job.status !== 'open') {
+      return res.status(400).json({ message: 'Can only invite freelancers to open jobs' });
+    }
+
+    const { freelancerIds, message } = req.body;
+
+    const freelancers = await User.find({
+      _id: { $in: freelancerIds },
+      userType: 'freelancer'
+    }).select('fullName');
+
+    if (freelancers.length === 0) {
+      return res.status(400).json({ message: 'No valid freelancers to invite' });
+    }
+
+    const bidderIds = (await Bid.find({ job: job._id }).distinct('freelancer')).map(id => id.toString());
+    const alreadyInvited = (await Invitation.find({ job: job._id }).distinct('freelancer')).map(id => id.toString());
+
+    const invitations = [];
+    const skipped = [];
+
+    for (const freelancer of freelancers) {
+      const freelancerId = freelancer._id.toString();
+      if (bidderIds.includes(freelancerId) || alreadyInvited.includes(freelancerId)) {
+        skipped.push(freelancer._id);
+        continue;
+      }
+
+      let chat = await Chat.findOne({
+        participants: { $all: [job.jobPoster, freelancer._id] },
+        job: job._id
+      });
+
+      const content = message
+        ? `You're invited to bid on "${job.title}": ${message}`
+        : `You're invited to bid on "${job.title}".`;
+
+      if (!chat) {
+        chat = await Chat.create({
+          participants: [job.jobPoster, freelancer._id],
+          job: job._id
+        });
+      }
+      await addMessage(chat, { sender: job.jobPoster, content });
+
+      const invitation = await Invitation.create({
+        job: job._id,
+        jobPoster: job.jobPoster,
+        freelancer: freelancer._id,
+        message: message || '',
+        chat: chat._id
+      });
+
+      await notify(freelancer._id, 'invitation.received', {
+        title: `${req.user.fullName} invited you to bid on "${job.title}"`,
+        body: message || '',
+        data: { jobId: job._id, invitationId: invitation._id, chatId: chat._id }
+      });
+
+      invitations.push(invitation);
+    }
+
+    res.status(201).json({
+      message: `Invited ${invitations.length} freelancer${invitations.length === 1 ? '' : 's'}`,
+      invitations,
+      skipped
+    });
+  } catch (error) {
+    console.error('Invite freelancers error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+// Invitations sent to the freelancer, newest first, optionally filtered by `status`
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.userType !== 'freelancer') {
+      return res.status(403).json({ message: 'Only freelancers can access this endpoint' });
+    }
+
+    const filter = { freelancer: req.user._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate('job', 'title description budget deadline skillsRequired status visibility takenDownAt')
+      .populate('jobPoster', 'fullName')
+      .sort({ createdAt: -1 });
+
+    // Taken down jobs disappear from the list like everywhere else
+    res.json(invitations.filter(invitation => invitation.job && !invitation.job.takenDownAt));
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getJobInvitations = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.jobPoster.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view invitations for this job' });
+    }
+
+    const invitations = await Invitation.find({ job: job._id })
+      .populate('freelancer', 'fullName skills')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (error) {
+    console.error('Get job invitations error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Freelancer answers a pending invitation. Accepting lets them bid on the job;
+// declining takes away access to it when the job is invite-only.
+const respondToInvitation = (accept) => async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation || invitation.freelancer.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `This invitation was already ${invitation.status}` });
+    }
+
+    const job = await Job.findById(invitation.job);
+    if (!job || job.takenDownAt) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (accept && job.status !== 'open') {
+      return res.status(400).json({ message: 'This job is no longer open for bids' });
+    }
+
+    invitation.status = accept ? 'accepted' : 'declined';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    await notify(invitation.jobPoster, accept ? 'invitation.accepted' : 'invitation.declined', {
+      title: `${req.user.fullName} ${accept ? 'accepted' : 'declined'} your invitation to "${job.title}"`,
+      data: { jobId: job._id, invitationId: invitation._id }
+    });
+
+    res.json({
+      message: accept ? 'Invitation accepted, you can now bid on this job' : 'Invitation declined',
+      invitation
+    });
+  } catch (error) {
+    console.error(`${accept ? 'Accept' : 'Decline'} invitation error:`, error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.acceptInvitation = respondToInvitation(true);
+
+exports.declineInvitation = respondToInvitation(false);
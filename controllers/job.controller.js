@@ -5,6 +5,22 @@ const Bid=require('../models/bid.model')
 const Chat=require('../models/chat.model')
 const { validationResult } = require('express-validator');
 const Payment=require('../models/payment.model')
+const Deliverable = require('../models/deliverable.model')
+const { acceptDeliverable } = require('../utils/deliverables')
+const { parseMilestonePlan, buildBidMilestones } = require('../utils/milestones')
+const { escapeRegex, clampLimit, pagination } = require('../utils/query')
+const {
+  tokenize,
+  normalizeSkill,
+  tfidfVectors,
+  cosineSimilarity,
+  topSharedTerms,
+  budgetFit,
+  round
+} = require('../utils/recommend')
+const { SORTS, buildJobFilter, searchJobs } = require('../utils/jobSearch')
+const { notify, notifyJobStatus } = require('../utils/notifications')
+const { invitedJobIds, visibleJobsClause, canAccessJob, acceptInvitationByBid } = require('../utils/invitations')
 
 exports.createJob = async (req, res) => {
     try {
@@ -18,7 +34,7 @@ exports.createJob = async (req, res) => {
         return res.status(403).json({ message: 'Only job posters can create jobs' });
       }
   
-      const { title, description, budget, deadline, skillsRequired } = req.body;
+      const { title, description, budget, deadline, skillsRequired, revisionLimit, visibility } = req.body;
   
       // Deadline logic (Assuming deadline is a number of days)
       if (typeof deadline !== 'number' || deadline < 1 || deadline > 10) {
@@ -29,6 +45,19 @@ exports.createJob = async (req, res) => {
   
       const deadlineDate = new Date();
       deadlineDate.setDate(deadlineDate.getDate() + deadline);
+
+      // Optional milestone plan, paid out one milestone at a time
+      let milestones = [];
+      if (req.body.milestones !== undefined) {
+        const plan = parseMilestonePlan(req.body.milestones);
+        if (plan.error) {
+          return res.status(400).json({ message: plan.error });
+        }
+        if (plan.milestones.reduce((sum, m) => sum + m.amount, 0) > budget) {
+          return res.status(400).json({ message: 'Milestone amounts cannot exceed the job budget' });
+        }
+        milestones = plan.milestones;
+      }
   
       const job = await Job.create({
         title,
@@ -36,6 +65,9 @@ exports.createJob = async (req, res) => {
         budget,
         deadline: deadlineDate,
         skillsRequired,
+        milestones,
+        revisionLimit,
+        visibility,
         jobPoster: req.user._id
       });
   
@@ -47,43 +79,59 @@ exports.createJob = async (req, res) => {
   };
   
 
+// Runs the job search for getJobs and searchOpenJobs, sending the error response and
+// returning null when the query is invalid
+const runJobSearch = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return null;
+  }
+
+  const { sort } = req.query;
+  const { page, limit } = pagination(req.query);
+
+  if (sort && !SORTS[sort]) {
+    res.status(400).json({
+      message: `Sort must be one of: ${Object.keys(SORTS).join(', ')}`
+    });
+    return null;
+  }
+
+  // Only open jobs are searchable, invite-only ones just by the freelancers invited
+  const filter = buildJobFilter(req.query, { invitedJobIds: await invitedJobIds(req.user._id) });
+
+  return searchJobs(filter, { sort, page, limit });
+};
+
+// Plain array of jobs as before, with the paging details in headers
 exports.getJobs = async (req, res) => {
   try {
-    const { keyword, minBudget, maxBudget, skills } = req.query;
-    
-    // Build filter object
-    const filter = {};
-    
-    if (keyword) {
-      filter.$or = [
-        { title: { $regex: keyword, $options: 'i' } },
-        { description: { $regex: keyword, $options: 'i' } }
-      ];
-    }
-    
-    if (minBudget) {
-      filter.budget = { ...filter.budget, $gte: Number(minBudget) };
-    }
-    
-    if (maxBudget) {
-      filter.budget = { ...filter.budget, $lte: Number(maxBudget) };
-    }
-    
-    if (skills) {
-      const skillsArray = skills.split(',').map(skill => skill.trim());
-      filter.skillsRequired = { $in: skillsArray };
-    }
-    
-    // Only show open jobs by default
-    filter.status = filter.status || 'open';
+    const result = await runJobSearch(req, res);
+    if (!result) return;
+
+    res.set({
+      'X-Total-Count': result.total,
+      'X-Total-Pages': result.totalPages,
+      'X-Page': result.page,
+      'X-Limit': result.limit
+    });
+    res.json(result.jobs);
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    const jobs = await Job.find(filter)
-      .populate('jobPoster', 'fullName email')
-      .sort({ createdAt: -1 });
+// Same search with the paging details and facet counts in the body
+exports.searchOpenJobs = async (req, res) => {
+  try {
+    const result = await runJobSearch(req, res);
+    if (!result) return;
 
-    res.json(jobs);
+    res.json(result);
   } catch (error) {
-    console.error('Get jobs error:', error);
+    console.error('Search jobs error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -98,6 +146,16 @@ exports.getJobById = async (req, res) => {
       return res.status(404).json({ message: 'Job not found' });
     }
 
+    // Taken down jobs stay visible to their poster and to admins only
+    if (job.takenDownAt && req.user.userType !== 'admin' &&
+        job.jobPoster._id.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (!(await canAccessJob(job, req.user))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
     res.json(job);
   } catch (error) {
     console.error('Get job by ID error:', error);
@@ -129,18 +187,31 @@ exports.updateJob = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this job' });
     }
 
-    // Only allow updates if job is still open
-    if (job.status !== 'open') {
+    const { title, description, budget, deadline, skillsRequired, visibility } = req.body;
+
+    // Only allow updates if job is still open, or expired and getting a new deadline
+    const reopening = job.status === 'expired' && deadline && new Date(deadline) > new Date();
+    if (job.status !== 'open' && !reopening) {
       return res.status(400).json({ message: 'Cannot update job that is not open' });
     }
 
-    const { title, description, budget, deadline, skillsRequired } = req.body;
+    // The budget has to keep covering the milestones already planned
+    const milestonesTotal = job.milestones.reduce((sum, m) => sum + m.amount, 0);
+    if (budget && Number(budget) < milestonesTotal) {
+      return res.status(400).json({ message: `Budget cannot be lower than the ${milestonesTotal} planned in milestones` });
+    }
 
     job.title = title || job.title;
     job.description = description || job.description;
     job.budget = budget || job.budget;
     job.deadline = deadline ? new Date(deadline) : job.deadline;  // Convert to Date
     job.skillsRequired = skillsRequired || job.skillsRequired;
+    job.visibility = visibility || job.visibility;
+
+    if (reopening) {
+      job.status = 'open';
+      job.expiredAt = null;
+    }
 
     const updatedJob = await job.save();
     res.json(updatedJob);
@@ -176,8 +247,11 @@ exports.deleteJob = async (req, res) => {
     }
 
     job.status = 'canceled';
+    job.canceledAt = new Date();
     await job.save();
 
+    await notifyJobStatus(job, 'job.canceled', req.user._id);
+
     res.json({ message: 'Job has been canceled' });
   } catch (error) {
     console.error('Cancel job error:', error);
@@ -193,13 +267,10 @@ exports.deleteJob = async (req, res) => {
 
 exports.markJobAsCompleted = async (req, res) => {
   try {
-    console.log("mark as completed");
     const jobId = req.params.id;
     
     // Find the job by ID
     const job = await Job.findById(jobId);
-    console.log("mark as completed");
-    console.log(job);
     
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
@@ -223,43 +294,31 @@ exports.markJobAsCompleted = async (req, res) => {
       });
     }
     
-
-    const bid = await Bid.findById(job.selectedBid)
-      .populate('freelancer');
-    
-    if (!bid) {
-      return res.status(404).json({ message: 'Selected bid not found' });
+    if (job.milestones.length > 0) {
+      return res.status(400).json({
+        message: 'Milestone jobs complete automatically once every milestone is paid'
+      });
     }
 
-    const payment = new Payment({
-      job: job._id,
-      bid: bid._id,
-      amount: bid.amount,
-      from: job.jobPoster,
-      to: bid.freelancer._id,
-      status: 'completed'
-    });
-    
-    await payment.save();
-    
-  
-    const freelancer = await User.findById(bid.freelancer._id);
-    freelancer.moneyEarned += bid.amount;
-    await freelancer.save();
-    
 
-    const jobPoster = await User.findById(job.jobPoster);
-    jobPoster.moneySpent += bid.amount;
-    await jobPoster.save();
+    // Completing a job means accepting the freelancer's latest delivery
+    const deliverable = await Deliverable.findOne({ job: job._id, status: 'submitted' });
+    if (!deliverable) {
+      return res.status(400).json({
+        message: 'The freelancer has not delivered work awaiting your response'
+      });
+    }
 
-    job.status = 'completed';
-    job.completedAt = new Date();
-    await job.save();
+    const payment = await acceptDeliverable(deliverable, job, req.user._id);
+    if (!payment) {
+      return res.status(409).json({ message: 'This delivery was already answered or its payment was already moved' });
+    }
     
     res.json({
-      message: 'Job marked as completed and payment processed',
+      message: 'Job marked as completed and payment released',
       job,
-      payment
+      payment,
+      deliverable
     });
     
   } catch (error) {
@@ -303,8 +362,10 @@ exports.getAvailableJobs = async (req, res) => {
 
         const jobs = await Job.find({
             status: 'open',
+            takenDownAt: null,
             jobPoster: { $ne: req.user._id },
-            _id: { $nin: bids } 
+            _id: { $nin: bids },
+            ...visibleJobsClause(await invitedJobIds(req.user._id))
         })
         .populate('jobPoster', 'fullName email')
         .sort({ createdAt: -1 });
@@ -316,6 +377,246 @@ exports.getAvailableJobs = async (req, res) => {
     }
 };
 
+// Weights of each factor in the recommendation score
+const RECOMMENDATION_WEIGHTS = { skills: 0.45, text: 0.4, budget: 0.15 };
+
+// Most candidates loaded and scored in memory for one recommendation request
+const RECOMMENDATION_CANDIDATES = 500;
+
+// Case-insensitive exact matches for a list of skills
+const skillMatchers = (skills) => skills.map(skill => new RegExp(`^${escapeRegex(skill.trim())}$`, 'i'));
+
+exports.getRecommendedJobs = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (user.userType !== 'freelancer') {
+            return res.status(403).json({ message: 'Only freelancers can access this endpoint' });
+        }
+
+        const limit = clampLimit(req.query.limit);
+
+        const myBids = await Bid.find({ freelancer: req.user._id })
+            .populate('job', 'title description skillsRequired');
+        const biddedJobIds = myBids.map(bid => bid.job?._id || bid.job);
+        const acceptedBids = myBids.filter(bid => bid.status === 'accepted' && bid.job);
+
+        const candidateFilter = {
+            status: 'open',
+            takenDownAt: null,
+            jobPoster: { $ne: req.user._id },
+            _id: { $nin: biddedJobIds },
+            ...visibleJobsClause(await invitedJobIds(req.user._id))
+        };
+        // Only jobs sharing a skill are scored; freelancers without skills get the newest jobs
+        if (user.skills.length > 0) {
+            candidateFilter.skillsRequired = { $in: skillMatchers(user.skills) };
+        }
+
+        const jobs = await Job.find(candidateFilter)
+        .sort({ createdAt: -1 })
+        .limit(RECOMMENDATION_CANDIDATES)
+        .populate('jobPoster', 'fullName email');
+
+        if (jobs.length === 0) {
+            return res.json([]);
+        }
+
+        // Freelancer profile: skills, bio and the jobs they have won before
+        const profileTokens = [
+            ...tokenize(user.skills.join(' ')),
+            ...tokenize(user.bio),
+            ...acceptedBids.flatMap(bid => tokenize(
+                `${bid.job.title} ${bid.job.description} ${(bid.job.skillsRequired || []).join(' ')}`
+            ))
+        ];
+        const jobTokens = jobs.map(job => tokenize(
+            `${job.title} ${job.description} ${job.skillsRequired.join(' ')}`
+        ));
+        const [profileVector, ...jobVectors] = tfidfVectors([profileTokens, ...jobTokens]);
+
+        const mySkills = new Set(user.skills.map(normalizeSkill));
+        const typicalAmount = acceptedBids.length > 0
+            ? acceptedBids.reduce((sum, bid) => sum + bid.amount, 0) / acceptedBids.length
+            : null;
+
+        const recommendations = jobs.map((job, index) => {
+            const matchedSkills = job.skillsRequired.filter(skill => mySkills.has(normalizeSkill(skill)));
+            const skillScore = job.skillsRequired.length > 0
+                ? matchedSkills.length / job.skillsRequired.length
+                : 0;
+            const textScore = cosineSimilarity(profileVector, jobVectors[index]);
+            const budgetScore = budgetFit(job.budget, typicalAmount);
+
+            // Without past accepted bids, budget fit is left out and the other weights rescaled
+            const weights = budgetScore === null
+                ? { skills: RECOMMENDATION_WEIGHTS.skills, text: RECOMMENDATION_WEIGHTS.text, budget: 0 }
+                : RECOMMENDATION_WEIGHTS;
+            const weightTotal = weights.skills + weights.text + weights.budget;
+            const score = (
+                weights.skills * skillScore +
+                weights.text * textScore +
+                weights.budget * (budgetScore || 0)
+            ) / weightTotal;
+
+            const matchedTerms = topSharedTerms(profileVector, jobVectors[index]);
+            const reasons = [];
+            if (matchedSkills.length > 0) {
+                reasons.push(`Matches ${matchedSkills.length} of ${job.skillsRequired.length} required skills: ${matchedSkills.join(', ')}`);
+            }
+            if (matchedTerms.length > 0) {
+                reasons.push(`Similar to your profile and past work: ${matchedTerms.join(', ')}`);
+            }
+            if (budgetScore !== null && budgetScore >= 0.5) {
+                reasons.push(`Budget of ${job.budget} is close to your typical accepted bid of ${Math.round(typicalAmount)}`);
+            }
+
+            return {
+                job,
+                score: round(score),
+                factors: {
+                    skills: round(skillScore),
+                    text: round(textScore),
+                    budget: budgetScore === null ? null : round(budgetScore)
+                },
+                matchedSkills,
+                matchedTerms,
+                reasons
+            };
+        });
+
+        recommendations.sort((a, b) => b.score - a.score || b.job.createdAt - a.job.createdAt);
+
+        res.json(recommendations.slice(0, limit));
+    } catch (error) {
+        console.error('Get recommended jobs error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Weights of each factor when ranking freelancers for a job
+const FREELANCER_MATCH_WEIGHTS = { skills: 0.5, history: 0.25, success: 0.25 };
+
+exports.getRecommendedFreelancers = async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        if (job.jobPoster.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Not authorized to view recommendations for this job' });
+        }
+
+        if (job.status !== 'open') {
+            return res.status(400).json({ message: 'Recommendations are only available for open jobs' });
+        }
+
+        const limit = clampLimit(req.query.limit, { defaultLimit: 10, maxLimit: 50 });
+
+        // Freelancers who already bid are in the bid list, not recommendations
+        const bidderIds = await Bid.find({ job: job._id }).distinct('freelancer');
+
+        const candidateFilter = {
+            userType: 'freelancer',
+            _id: { $nin: bidderIds }
+        };
+        if (job.skillsRequired.length > 0) {
+            candidateFilter.skills = { $in: skillMatchers(job.skillsRequired) };
+        }
+
+        // Best rated first so the cap keeps the strongest candidates
+        const freelancers = await User.find(candidateFilter)
+            .sort({ ratingAverage: -1, ratingCount: -1 })
+            .limit(RECOMMENDATION_CANDIDATES)
+            .select('fullName skills bio profileImage ratingAverage ratingCount');
+
+        if (freelancers.length === 0) {
+            return res.json([]);
+        }
+
+        const freelancerIds = freelancers.map(freelancer => freelancer._id);
+
+        const completedJobs = await Payment.aggregate([
+            { $match: { to: { $in: freelancerIds }, status: 'completed' } },
+            { $group: { _id: '$to', jobs: { $addToSet: '$job' } } },
+            { $project: { count: { $size: '$jobs' } } }
+        ]);
+        const completedByFreelancer = new Map(completedJobs.map(item => [item._id.toString(), item.count]));
+
+        const bidOutcomes = await Bid.aggregate([
+            { $match: { freelancer: { $in: freelancerIds } } },
+            {
+                $group: {
+                    _id: '$freelancer',
+                    accepted: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } },
+                    rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } }
+                }
+            }
+        ]);
+        const outcomesByFreelancer = new Map(bidOutcomes.map(item => [item._id.toString(), item]));
+
+        const requiredSkills = new Set(job.skillsRequired.map(normalizeSkill));
+
+        const recommendations = freelancers.map(freelancer => {
+            const id = freelancer._id.toString();
+            const matchedSkills = freelancer.skills.filter(skill => requiredSkills.has(normalizeSkill(skill)));
+            const skillScore = requiredSkills.size > 0 ? matchedSkills.length / requiredSkills.size : 0;
+
+            // Ten completed jobs count as a full track record
+            const completedCount = completedByFreelancer.get(id) || 0;
+            const historyScore = Math.min(1, Math.log1p(completedCount) / Math.log(11));
+
+            // Smoothed so a single decided bid doesn't dominate
+            const outcomes = outcomesByFreelancer.get(id) || { accepted: 0, rejected: 0 };
+            const decided = outcomes.accepted + outcomes.rejected;
+            const successRate = decided > 0 ? outcomes.accepted / decided : null;
+            const successScore = (outcomes.accepted + 1) / (decided + 2);
+
+            const score =
+                FREELANCER_MATCH_WEIGHTS.skills * skillScore +
+                FREELANCER_MATCH_WEIGHTS.history * historyScore +
+                FREELANCER_MATCH_WEIGHTS.success * successScore;
+
+            const reasons = [];
+            if (matchedSkills.length > 0) {
+                reasons.push(`Has ${matchedSkills.length} of ${requiredSkills.size} required skills: ${matchedSkills.join(', ')}`);
+            }
+            if (completedCount > 0) {
+                reasons.push(`Completed ${completedCount} paid job${completedCount === 1 ? '' : 's'}`);
+            }
+            if (successRate !== null) {
+                reasons.push(`Won ${outcomes.accepted} of ${decided} decided bids`);
+            }
+
+            return {
+                freelancer,
+                score: round(score),
+                factors: {
+                    skills: round(skillScore),
+                    history: round(historyScore),
+                    success: round(successScore)
+                },
+                matchedSkills,
+                completedJobs: completedCount,
+                successRate: successRate === null ? null : round(successRate),
+                reasons
+            };
+        });
+
+        recommendations.sort((a, b) => b.score - a.score);
+
+        res.json(recommendations.slice(0, limit));
+    } catch (error) {
+        console.error('Get recommended freelancers error:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
 exports.applyForJob = async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -337,9 +638,13 @@ exports.applyForJob = async (req, res) => {
         return res.status(404).json({ message: 'Job not found' });
       }
       
-      if (job.status !== 'open') {
+      if (job.status !== 'open' || job.takenDownAt) {
         return res.status(400).json({ message: 'Cannot apply for a job that is not open' });
       }
+
+      if (!(await canAccessJob(job, req.user))) {
+        return res.status(403).json({ message: 'This job is open to invited freelancers only' });
+      }
       
       const existingBid = await Bid.findOne({
         job: jobId,
@@ -349,14 +654,34 @@ exports.applyForJob = async (req, res) => {
       if (existingBid) {
         return res.status(400).json({ message: 'You have already applied for this job' });
       }
+
+      let bidAmount = amount;
+      let milestones = [];
+      if (job.milestones.length > 0) {
+        const offer = buildBidMilestones(job, req.body.milestones);
+        if (offer.error) {
+          return res.status(400).json({ message: offer.error });
+        }
+        bidAmount = offer.amount;
+        milestones = offer.milestones;
+      }
       
   
       const bid = await Bid.create({
         job: jobId,
         freelancer: req.user._id,
-        amount,
+        amount: bidAmount,
         deliveryTime,
-        proposal
+        proposal,
+        milestones,
+        negotiation: [{ action: 'submitted', by: req.user._id, amount: bidAmount, deliveryTime }]
+      });
+      await acceptInvitationByBid(job._id, req.user._id);
+
+      await notify(job.jobPoster, 'bid.created', {
+        title: `New bid on "${job.title}"`,
+        body: `${user.fullName} bid ${bidAmount} with delivery in ${deliveryTime} days`,
+        data: { jobId: job._id, bidId: bid._id }
       });
       
       res.status(201).json({
@@ -405,7 +730,7 @@ exports.applyForJob = async (req, res) => {
         });
         
        
-        const allBids = await Bid.find({ job: job._id })
+        const allBids = await Bid.find({ job: job._id, hiddenAt: null })
           .populate('freelancer', 'fullName email')
           
         
@@ -0,0 +1,265 @@
+
+const Job = require('../models/job.model');
+const Bid = require('../models/bid.model');
+const Payment = require('../models/payment.model');
+const { holdFunds, releaseFunds } = require('../utils/escrow');
+const { parseMilestonePlan } = require('../utils/milestones');
+const { notifyJobStatus } = require('../utils/notifications');
+const { canAccessJob } = require('../utils/invitations');
+
+
+// Load the job and milestone from the route params, sending a 404 when either is missing
+const findJobMilestone = async (req, res) => {
+  const job = await Job.findById(req.params.id);
+  if (!job) {
+    res.status(404).json({ message: 'Job not found' });
+    return {};
+  }
+
+  const milestone = job.milestones.id(req.params.milestoneId);
+  if (!milestone) {
+    res.status(404).json({ message: 'Milestone not found' });
+    return {};
+  }
+
+  return { job, milestone };
+};
+
+
+exports.getMilestones = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('milestones jobPoster visibility');
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    // Invite-only jobs stay hidden from users who can't see them, like getJobById
+    if (!(await canAccessJob(job, req.user))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.json(job.milestones);
+  } catch (error) {
+    console.error('Get milestones error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Replace the milestone plan of an open job that has not received bids yet
+exports.setMilestones = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.jobPoster.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this job' });
+    }
+
+    if (job.status !== 'open') {
+      return res.status(400).json({ message: 'Cannot change milestones of a job that is not open' });
+    }
+
+    const bidCount = await Bid.countDocuments({ job: job._id });
+    if (bidCount > 0) {
+      return res.status(400).json({ message: 'Cannot change milestones after bids have been placed' });
+    }
+
+    const plan = parseMilestonePlan(req.body.milestones);
+    if (plan.error) {
+      return res.status(400).json({ message: plan.error });
+    }
+
+    if (plan.milestones.reduce((sum, m) => sum + m.amount, 0) > job.budget) {
+      return res.status(400).json({ message: 'Milestone amounts cannot exceed the job budget' });
+    }
+
+    job.milestones = plan.milestones;
+    await job.save();
+
+    res.json(job.milestones);
+  } catch (error) {
+    console.error('Set milestones error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Job poster puts the milestone amount into escrow so work can start
+exports.fundMilestone = async (req, res) => {
+  try {
+    const { job, milestone } = await findJobMilestone(req, res);
+    if (!job) return;
+
+    if (job.jobPoster.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to fund this milestone' });
+    }
+
+    if (job.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Milestones can only be funded for jobs in progress' });
+    }
+
+    if (milestone.status !== 'pending') {
+      return res.status(400).json({ message: `Milestone is already ${milestone.status}` });
+    }
+
+    const bid = await Bid.findById(job.selectedBid);
+    if (!bid) {
+      return res.status(404).json({ message: 'Selected bid not found' });
+    }
+
+    // Claim the milestone so two fund requests can't both hold escrow for it
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'in-progress', milestones: { $elemMatch: { _id: milestone._id, status: 'pending' } } },
+      { $set: { 'milestones.$.status': 'funding' } }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'This milestone is already being funded' });
+    }
+
+    let payment;
+    try {
+      payment = await holdFunds(job, bid, req.user._id, milestone);
+    } catch (error) {
+      await Job.updateOne(
+        { _id: job._id, milestones: { $elemMatch: { _id: milestone._id, status: 'funding' } } },
+        { $set: { 'milestones.$.status': 'pending' } }
+      );
+      throw error;
+    }
+
+    const fundedAt = new Date();
+    await Job.updateOne(
+      { _id: job._id, 'milestones._id': milestone._id },
+      {
+        $set: {
+          'milestones.$.status': 'funded',
+          'milestones.$.payment': payment._id,
+          'milestones.$.fundedAt': fundedAt
+        }
+      }
+    );
+    milestone.status = 'funded';
+    milestone.payment = payment._id;
+    milestone.fundedAt = fundedAt;
+
+    res.json({ message: 'Milestone funded', milestone, payment });
+  } catch (error) {
+    console.error('Fund milestone error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Freelancer marks a funded milestone as delivered
+exports.submitMilestone = async (req, res) => {
+  try {
+    const { job, milestone } = await findJobMilestone(req, res);
+    if (!job) return;
+
+    const bid = await Bid.findById(job.selectedBid);
+    if (!bid || bid.freelancer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to submit this milestone' });
+    }
+
+    if (job.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Milestones can only be submitted for jobs in progress' });
+    }
+
+    if (milestone.status !== 'funded') {
+      return res.status(400).json({ message: 'Only funded milestones can be submitted' });
+    }
+
+    milestone.status = 'submitted';
+    milestone.submissionNote = req.body.note || '';
+    milestone.submittedAt = new Date();
+    await job.save();
+
+    res.json({ message: 'Milestone submitted for approval', milestone });
+  } catch (error) {
+    console.error('Submit milestone error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Job poster approves a submitted milestone, releasing its payment.
+// The job completes once every milestone is paid.
+exports.approveMilestone = async (req, res) => {
+  try {
+    const { job, milestone } = await findJobMilestone(req, res);
+    if (!job) return;
+
+    if (job.jobPoster.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to approve this milestone' });
+    }
+
+    if (job.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Milestones can only be approved for jobs in progress' });
+    }
+
+    if (milestone.status !== 'submitted') {
+      return res.status(400).json({ message: 'Only submitted milestones can be approved' });
+    }
+
+    const payment = await Payment.findById(milestone.payment);
+    if (!payment) {
+      return res.status(404).json({ message: 'Milestone payment not found' });
+    }
+
+    const released = await releaseFunds(payment, req.user._id, `Milestone "${milestone.title}" approved`);
+    if (!released) {
+      return res.status(409).json({ message: 'This milestone payment was already released' });
+    }
+
+    const now = new Date();
+    milestone.status = 'paid';
+    milestone.approvedAt = now;
+    milestone.paidAt = now;
+
+    if (job.milestones.every(m => m.status === 'paid')) {
+      job.status = 'completed';
+      job.completedAt = now;
+    }
+    await job.save();
+
+    if (job.status === 'completed') {
+      await notifyJobStatus(job, 'job.completed', req.user._id);
+    }
+
+    res.json({
+      message: job.status === 'completed'
+        ? 'Milestone approved, all milestones paid and job completed'
+        : 'Milestone approved and payment released',
+      milestone,
+      payment: released,
+      job
+    });
+  } catch (error) {
+    console.error('Approve milestone error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,126 @@
+
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const { PREFERENCE_KEYS } = require('../utils/notifications');
+const { emitToUser } = require('../utils/realtime');
+const { pagination } = require('../utils/query');
+
+const PREFERENCE_FIELDS = Object.values(PREFERENCE_KEYS);
+
+
+// Newest first, `?unread=true` for unread only
+exports.getNotifications = async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.json({ notifications, unreadCount, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    // Keep the badge in sync on the user's other devices
+    emitToUser(req.user._id, 'notificationsRead', { ids: [notification._id], unreadCount });
+
+    res.json({ notification, unreadCount });
+  } catch (error) {
+    console.error('Mark notification as read error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    emitToUser(req.user._id, 'notificationsRead', { all: true, unreadCount: 0 });
+
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications as read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+// Partial update: only the flags present in the body change
+exports.updatePreferences = async (req, res) => {
+  try {
+    const preferences = req.body || {};
+
+    const unknown = Object.keys(preferences).filter(key => !PREFERENCE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        message: `Unknown preferences: ${unknown.join(', ')}. Allowed: ${PREFERENCE_FIELDS.join(', ')}`
+      });
+    }
+
+    const invalid = Object.entries(preferences).filter(([, value]) => typeof value !== 'boolean');
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: 'Preferences must be true or false' });
+    }
+
+    const update = Object.fromEntries(
+      Object.entries(preferences).map(([key, value]) => [`notificationPreferences.${key}`, value])
+    );
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+      .select('notificationPreferences');
+
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
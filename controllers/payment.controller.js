@@ -0,0 +1,198 @@
+
+const Payment = require('../models/payment.model');
+const Job = require('../models/job.model');
+const Deliverable = require('../models/deliverable.model');
+const { refundFunds } = require('../utils/escrow');
+const { acceptDeliverable } = require('../utils/deliverables');
+const { notifyJobStatus } = require('../utils/notifications');
+
+
+const isParty = (payment, userId) =>
+  payment.from.toString() === userId.toString() ||
+  payment.to.toString() === userId.toString();
+
+
+exports.getMyPayments = async (req, res) => {
+  try {
+    const payments = await Payment.find({
+      $or: [{ from: req.user._id }, { to: req.user._id }]
+    })
+      .populate('job', 'title status')
+      .populate('from', 'fullName')
+      .populate('to', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.json(payments);
+  } catch (error) {
+    console.error('Get my payments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getPaymentById = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('job', 'title status')
+      .populate('from', 'fullName')
+      .populate('to', 'fullName');
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (!isParty(payment, req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this payment' });
+    }
+
+    res.json(payment);
+  } catch (error) {
+    console.error('Get payment by ID error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getPaymentsForJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const payments = await Payment.find({ job: job._id }).sort({ createdAt: -1 });
+
+    if (
+      job.jobPoster.toString() !== req.user._id.toString() &&
+      !payments.some(payment => isParty(payment, req.user._id))
+    ) {
+      return res.status(403).json({ message: 'Not authorized to view these payments' });
+    }
+
+    res.json(payments);
+  } catch (error) {
+    console.error('Get payments for job error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Job poster releases escrowed funds to the freelancer, completing the job
+exports.releasePayment = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.from.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the job poster can release this payment' });
+    }
+
+    if (payment.status !== 'pending') {
+      return res.status(400).json({ message: `Cannot release a payment that is ${payment.status}` });
+    }
+
+    if (payment.milestone) {
+      return res.status(400).json({ message: 'Milestone payments are released by approving the milestone' });
+    }
+
+    const job = await Job.findById(payment.job);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Only payments for jobs in progress can be released' });
+    }
+
+    // Releasing the payment accepts the freelancer's latest delivery
+    const deliverable = await Deliverable.findOne({ job: job._id, status: 'submitted' });
+    if (!deliverable) {
+      return res.status(400).json({ message: 'The freelancer has not delivered work awaiting your response' });
+    }
+
+    const released = await acceptDeliverable(deliverable, job, req.user._id);
+    if (!released) {
+      return res.status(409).json({ message: 'This delivery was already answered or its payment was already moved' });
+    }
+
+    res.json({ message: 'Payment released to freelancer', payment: released, job, deliverable });
+  } catch (error) {
+    console.error('Release payment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Freelancer gives the escrowed funds back to the poster, canceling the job
+exports.refundPayment = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.to.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the freelancer can refund this payment' });
+    }
+
+    if (payment.status !== 'pending') {
+      return res.status(400).json({ message: `Cannot refund a payment that is ${payment.status}` });
+    }
+
+    const job = await Job.findById(payment.job);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Only payments for jobs in progress can be refunded' });
+    }
+
+    const refunded = await refundFunds(payment, req.user._id, req.body?.note);
+    if (!refunded) {
+      return res.status(409).json({ message: 'This payment was already released or refunded' });
+    }
+
+    // Refunding a milestone only unfunds that milestone, the rest of the job carries on
+    const milestone = payment.milestone && job.milestones.id(payment.milestone);
+    if (milestone) {
+      milestone.status = 'pending';
+      milestone.payment = null;
+      milestone.fundedAt = undefined;
+      milestone.submittedAt = undefined;
+    } else {
+      job.status = 'canceled';
+      job.canceledAt = new Date();
+    }
+    await job.save();
+
+    if (job.status === 'canceled') {
+      await notifyJobStatus(job, 'job.canceled', req.user._id);
+    }
+
+    res.json({ message: 'Payment refunded to job poster', payment: refunded, job });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
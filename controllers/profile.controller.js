@@ -0,0 +1,138 @@
+
+const User = require('../models/user.model');
+const { validationResult } = require('express-validator');
+const { bidStats, completedJobs } = require('../utils/profiles');
+
+const PORTFOLIO_MAX_ITEMS = Number(process.env.PORTFOLIO_MAX_ITEMS) || 20;
+
+
+// A freelancer's public profile: never includes their email or account details
+exports.getFreelancerProfile = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.id,
+      userType: 'freelancer',
+      accountStatus: { $ne: 'banned' }
+    }).select('fullName bio skills profileImage portfolio ratingAverage ratingCount createdAt');
+
+    if (!user) {
+      return res.status(404).json({ message: 'Freelancer not found' });
+    }
+
+    const [stats, completed] = await Promise.all([bidStats(user._id), completedJobs(user._id)]);
+
+    res.json({
+      _id: user._id,
+      fullName: user.fullName,
+      bio: user.bio,
+      skills: user.skills,
+      profileImage: user.profileImage,
+      memberSince: user.createdAt,
+      ratingAverage: user.ratingAverage,
+      ratingCount: user.ratingCount,
+      portfolio: user.portfolio,
+      stats: { ...stats, completedJobs: completed.count },
+      completedJobs: completed.jobs
+    });
+  } catch (error) {
+    console.error('Get freelancer profile error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Freelancer not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getPortfolio = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('portfolio');
+    res.json(user.portfolio);
+  } catch (error) {
+    console.error('Get portfolio error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.addPortfolioItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.portfolio.length >= PORTFOLIO_MAX_ITEMS) {
+      return res.status(400).json({ message: `A portfolio can hold up to ${PORTFOLIO_MAX_ITEMS} items` });
+    }
+
+    const { title, description, link, images } = req.body;
+    user.portfolio.push({ title, description, link, images });
+    await user.save();
+
+    res.status(201).json(user.portfolio[user.portfolio.length - 1]);
+  } catch (error) {
+    console.error('Add portfolio item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.updatePortfolioItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const item = user.portfolio.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Portfolio item not found' });
+    }
+
+    for (const field of ['title', 'description', 'link', 'images']) {
+      if (req.body[field] !== undefined) {
+        item[field] = req.body[field];
+      }
+    }
+    await user.save();
+
+    res.json(item);
+  } catch (error) {
+    console.error('Update portfolio item error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Portfolio item not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.deletePortfolioItem = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const item = user.portfolio.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Portfolio item not found' });
+    }
+
+    item.deleteOne();
+    await user.save();
+
+    res.json({ message: 'Portfolio item deleted' });
+  } catch (error) {
+    console.error('Delete portfolio item error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Portfolio item not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,145 @@
+
+const Review = require('../models/review.model');
+const Job = require('../models/job.model');
+const Bid = require('../models/bid.model');
+const User = require('../models/user.model');
+const { validationResult } = require('express-validator');
+const { reviewDeadline, publishReviews } = require('../utils/reviews');
+
+
+exports.createReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(400).json({ message: 'Only completed jobs can be reviewed' });
+    }
+
+    const bid = await Bid.findById(job.selectedBid);
+    if (!bid) {
+      return res.status(404).json({ message: 'Selected bid not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const isJobPoster = job.jobPoster.toString() === userId;
+    const isFreelancer = bid.freelancer.toString() === userId;
+
+    if (!isJobPoster && !isFreelancer) {
+      return res.status(403).json({ message: 'Not authorized to review this job' });
+    }
+
+    // Older jobs have no completedAt, fall back to the last update
+    const deadline = reviewDeadline(job.completedAt || job.updatedAt);
+    if (deadline <= new Date()) {
+      return res.status(400).json({ message: 'The review window for this job has closed' });
+    }
+
+    const existingReview = await Review.findOne({ job: job._id, reviewer: req.user._id });
+    if (existingReview) {
+      return res.status(400).json({ message: 'You have already reviewed this job' });
+    }
+
+    const { rating, comment } = req.body;
+
+    const review = await Review.create({
+      job: job._id,
+      reviewer: req.user._id,
+      reviewee: isJobPoster ? bid.freelancer : job.jobPoster,
+      reviewerRole: isJobPoster ? 'jobPoster' : 'freelancer',
+      rating,
+      comment,
+      revealAt: deadline
+    });
+
+    // Both sides have reviewed, so neither can be influenced by the other any more
+    const jobReviews = await Review.find({ job: job._id, visible: false });
+    if (jobReviews.length === 2) {
+      await publishReviews(jobReviews);
+      review.visible = true;
+    }
+
+    res.status(201).json(review);
+  } catch (error) {
+    console.error('Create review error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You have already reviewed this job' });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getUserReviews = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('fullName userType ratingAverage ratingCount');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const reviews = await Review.find({ reviewee: user._id, visible: true })
+      .populate('reviewer', 'fullName profileImage')
+      .populate('job', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      user: {
+        _id: user._id,
+        fullName: user.fullName,
+        userType: user.userType
+      },
+      ratingAverage: user.ratingAverage,
+      ratingCount: user.ratingCount,
+      reviews
+    });
+  } catch (error) {
+    console.error('Get user reviews error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Published reviews of a job, plus the requester's own review while it is still hidden
+exports.getJobReviews = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const reviews = await Review.find({
+      job: job._id,
+      $or: [{ visible: true }, { reviewer: req.user._id }]
+    })
+      .populate('reviewer', 'fullName profileImage')
+      .populate('reviewee', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.json(reviews);
+  } catch (error) {
+    console.error('Get job reviews error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,240 @@
+
+const Job = require('../models/job.model');
+const SavedJob = require('../models/savedJob.model');
+const SavedSearch = require('../models/savedSearch.model');
+const { validationResult } = require('express-validator');
+const { SORTS, searchJobs } = require('../utils/jobSearch');
+const { canAccessJob } = require('../utils/invitations');
+const { SAVED_SEARCH_LIMIT, savedSearchFilter } = require('../utils/savedSearches');
+const { pagination } = require('../utils/query');
+
+
+exports.saveJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+    if (!job || job.takenDownAt || !(await canAccessJob(job, req.user))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const savedJob = await SavedJob.findOneAndUpdate(
+      { user: req.user._id, job: job._id },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json(savedJob);
+  } catch (error) {
+    console.error('Save job error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.unsaveJob = async (req, res) => {
+  try {
+    const { deletedCount } = await SavedJob.deleteOne({ user: req.user._id, job: req.params.jobId });
+    if (deletedCount === 0) {
+      return res.status(404).json({ message: 'Saved job not found' });
+    }
+
+    res.json({ message: 'Job removed from saved jobs' });
+  } catch (error) {
+    console.error('Unsave job error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Saved job not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Bookmarked jobs, newest first, with their current status so closed ones can be told apart
+exports.getSavedJobs = async (req, res) => {
+  try {
+    const savedJobs = await SavedJob.find({ user: req.user._id })
+      .populate({
+        path: 'job',
+        select: 'title description budget deadline skillsRequired status visibility jobPoster takenDownAt',
+        populate: { path: 'jobPoster', select: 'fullName' }
+      })
+      .sort({ createdAt: -1 });
+
+    const visible = [];
+    for (const savedJob of savedJobs) {
+      if (savedJob.job && !savedJob.job.takenDownAt && await canAccessJob(savedJob.job, req.user)) {
+        visible.push(savedJob);
+      }
+    }
+
+    res.json(visible);
+  } catch (error) {
+    console.error('Get saved jobs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Saved search filters from the request body, returns { filters } or { error }
+const parseFilters = ({ keyword, minBudget, maxBudget, skills }) => {
+  const filters = {
+    keyword: (keyword || '').trim(),
+    minBudget: minBudget !== undefined && minBudget !== null ? Number(minBudget) : null,
+    maxBudget: maxBudget !== undefined && maxBudget !== null ? Number(maxBudget) : null,
+    skills: (skills || []).map(skill => String(skill).trim()).filter(Boolean)
+  };
+
+  if (!filters.keyword && filters.minBudget === null && filters.maxBudget === null && filters.skills.length === 0) {
+    return { error: 'A saved search needs at least one of keyword, minBudget, maxBudget or skills' };
+  }
+  if (filters.minBudget !== null && filters.maxBudget !== null && filters.minBudget > filters.maxBudget) {
+    return { error: 'minBudget cannot be more than maxBudget' };
+  }
+
+  return { filters };
+};
+
+
+exports.createSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { filters, error } = parseFilters(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= SAVED_SEARCH_LIMIT) {
+      return res.status(400).json({ message: `You can save up to ${SAVED_SEARCH_LIMIT} searches` });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user._id,
+      name: req.body.name,
+      filters,
+      alertsEnabled: req.body.alertsEnabled ?? true
+    });
+
+    res.status(201).json(savedSearch);
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(savedSearches);
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.updateSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    const { filters, error } = parseFilters({ ...savedSearch.toObject().filters, ...req.body });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    savedSearch.name = req.body.name || savedSearch.name;
+    savedSearch.filters = filters;
+    if (req.body.alertsEnabled !== undefined) {
+      savedSearch.alertsEnabled = req.body.alertsEnabled;
+    }
+    await savedSearch.save();
+
+    res.json(savedSearch);
+  } catch (error) {
+    console.error('Update saved search error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.deleteSavedSearch = async (req, res) => {
+  try {
+    const { deletedCount } = await SavedSearch.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (deletedCount === 0) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Jobs matching the saved search that were posted since the freelancer last looked,
+// paged and sorted like getJobs
+exports.getNewMatches = async (req, res) => {
+  try {
+    const { sort } = req.query;
+    const { page, limit } = pagination(req.query);
+
+    if (sort && !SORTS[sort]) {
+      return res.status(400).json({
+        message: `Sort must be one of: ${Object.keys(SORTS).join(', ')}`
+      });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    const since = savedSearch.lastSeenAt;
+    const filter = { ...(await savedSearchFilter(savedSearch)), createdAt: { $gt: since } };
+    const result = await searchJobs(filter, { sort, page, limit });
+
+    // Opening the first page means the freelancer has caught up
+    if (page === 1) {
+      savedSearch.lastSeenAt = new Date();
+      savedSearch.newMatchCount = 0;
+      await savedSearch.save();
+    }
+
+    res.json({ ...result, since });
+  } catch (error) {
+    console.error('Get new matches error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
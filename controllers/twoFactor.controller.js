@@ -0,0 +1,160 @@
+
+const { validationResult } = require('express-validator');
+const {
+  generateSecret,
+  verifyCode,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes
+} = require('../utils/totp');
+const { hashRecoveryCode, findUserWithSecrets, verifySecondFactor } = require('../utils/twoFactor');
+
+const ISSUER = process.env.TOTP_ISSUER || 'FreelanceHub';
+
+// Issue a fresh set of recovery codes, returning the plain codes to show once
+const resetRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesLeft: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Step one of enrollment: a new secret to add to the authenticator app
+exports.setup = async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Step two: a code from the app proves it was set up, then recovery codes are shown once
+exports.enable = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they are only shown once.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Needs the password and a current code or recovery code
+exports.disable = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (!(await verifySecondFactor(user, req.body))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null, secret: null, pendingSecret: null, recoveryCodes: [], lastUsedStep: -1 };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Replace every recovery code, e.g. after running low
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
+    res.json({ message: 'New recovery codes generated, the old ones no longer work', recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,12 +1,52 @@
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
-
-
-const generateToken = (userId,userType) => {
-  return jwt.sign({ userId,userType }, process.env.JWT_SECRET, { expiresIn: '3d' });
+const { accountRestriction, authenticateToken } = require('../middleware/auth');
+const { sendEmail } = require('../utils/email');
+const {
+  issueAccessToken,
+  rotateSession,
+  revokeSession,
+  revokeCurrentSession,
+  revokeAllSessions,
+  signIn,
+  setAuthCookies,
+  clearAuthCookies
+} = require('../utils/sessions');
+const {
+  issueLoginTicket,
+  verifyLoginTicket,
+  findUserWithSecrets,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const {
+  lockoutRemaining,
+  recordFailedLogin,
+  resetFailedLogins,
+  clearLockouts,
+  sendLocked
+} = require('../utils/loginLockout');
+const { TOKEN_TTL_MINUTES, createAuthToken, consumeAuthToken } = require('../utils/authTokens');
+
+const userSummary = (user) => ({
+  _id: user._id,
+  email: user.email,
+  fullName: user.fullName,
+  userType: user.userType,
+  emailVerified: user.emailVerified
+});
+
+// Email a fresh verification link
+const sendVerificationEmail = async (user) => {
+  const token = await createAuthToken(user._id, 'verify-email');
+  await sendEmail(user, 'verifyEmail', {
+    token,
+    validHours: Math.round(TOKEN_TTL_MINUTES['verify-email'] / 60)
+  });
 };
 
+
 exports.register = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -16,6 +56,10 @@ exports.register = async (req, res) => {
 
     const { email, password, fullName, userType, skills, bio } = req.body;
 
+    if (!['freelancer', 'jobPoster'].includes(userType)) {
+      return res.status(400).json({ message: 'User type must be freelancer or jobPoster' });
+    }
+
     const userExists = await User.findOne({ email });
     if (userExists) {
       return res.status(400).json({ message: 'User already exists' });
@@ -31,11 +75,14 @@ exports.register = async (req, res) => {
     });
 
     if (user) {
+      await sendVerificationEmail(user);
+
       res.status(201).json({
         _id: user._id,
         email: user.email,
         fullName: user.fullName,
-        userType: user.userType
+        userType: user.userType,
+        emailVerified: user.emailVerified
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -57,19 +104,31 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: 'Email, password, and userType are required' });
     }
 
+    // The email keys the lockout and the user lookup, so it must be plain text
+    if (typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email must be text' });
+    }
+
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const user = await User.findOne({ email });
-
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+    // Checked before the password, and counted for unknown emails too, so neither a lock
+    // nor its absence tells whether the email is registered
+    const locked = await lockoutRemaining(email, req.ip);
+    if (locked) {
+      return sendLocked(res, locked);
     }
 
-    const isMatch = await user.comparePassword(password);
+    const user = await User.findOne({ email });
+
+    const isMatch = user ? await user.comparePassword(password) : false;
     if (!isMatch) {
+      const lockedUntil = await recordFailedLogin(email, req.ip);
+      if (lockedUntil) {
+        return sendLocked(res, lockedUntil.getTime() - Date.now());
+      }
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
@@ -78,21 +137,23 @@ exports.login = async (req, res) => {
       return res.status(403).json({ sucess:false, message: 'User role not matched' });
     }
 
-    const token = generateToken(user._id, user.userType);
-    res.cookie("token", token, {
-      expires: new Date(Date.now() + 8 * 3600000),
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', 
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', 
-      path: '/'
-    });
+    const restriction = accountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ message: restriction, reason: user.moderationReason });
+    }
 
-    res.json({
-      _id: user._id,
-      email: user.email,
-      fullName: user.fullName,
-      userType: user.userType
-    });
+    // With two-factor enabled the password alone only earns a ticket for the second step
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        loginTicket: issueLoginTicket(user)
+      });
+    }
+
+    await resetFailedLogins(email, req.ip);
+    await signIn(req, res, user);
+
+    res.json(userSummary(user));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -101,6 +162,58 @@ exports.login = async (req, res) => {
 
 
 
+// Second login step: the ticket from login plus an authenticator or recovery code
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { loginTicket, code, recoveryCode } = req.body;
+
+    const userId = verifyLoginTicket(loginTicket);
+    if (!userId) {
+      return res.status(401).json({ message: 'Login expired, please enter your password again' });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'An authentication code or recovery code is required' });
+    }
+
+    const user = await findUserWithSecrets(userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Login expired, please enter your password again' });
+    }
+
+    const restriction = accountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ message: restriction, reason: user.moderationReason });
+    }
+
+    const locked = await lockoutRemaining(user.email, req.ip);
+    if (locked) {
+      return sendLocked(res, locked);
+    }
+
+    // Wrong codes count toward the same lockout as wrong passwords
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      const lockedUntil = await recordFailedLogin(user.email, req.ip);
+      if (lockedUntil) {
+        return sendLocked(res, lockedUntil.getTime() - Date.now());
+      }
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await resetFailedLogins(user.email, req.ip);
+    await signIn(req, res, user);
+
+    res.json({
+      ...userSummary(user),
+      ...(method === 'recovery' && { recoveryCodesLeft: user.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 exports.getCurrentUser = async (req, res) => {
   try {
    
@@ -115,21 +228,57 @@ exports.getCurrentUser = async (req, res) => {
   }
 };
 
-exports.logout = (req, res) => {
-  res.clearCookie('token', {
-    httpOnly: true,
+// Swap the refresh token cookie for a new access token and refresh token
+exports.refresh = async (req, res) => {
+  try {
+    const { session, refreshToken, error, conflict } = await rotateSession(req.cookies?.refreshToken, req);
+    // The winning refresh already set fresh cookies, clearing them would sign the user out
+    if (conflict) {
+      return res.status(409).json({ message: error });
+    }
+    if (error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: error });
+    }
 
-    sameSite: 'Strict'
-  });
+    const user = await User.findById(session.user);
+    const restriction = user ? accountRestriction(user) : 'User not found';
+    if (restriction) {
+      await revokeSession(session._id);
+      clearAuthCookies(res);
+      return res.status(403).json({ message: restriction });
+    }
+
+    setAuthCookies(res, issueAccessToken(user, session), refreshToken);
 
-  res.status(200).json({ message: 'Logged out successfully' });
+    res.json(userSummary(user));
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 };
-exports.checkToken = (req, res) => {
+
+// Works with an expired access token too, the session is found from either cookie
+exports.logout = async (req, res) => {
+  try {
+    await revokeCurrentSession({
+      refreshToken: req.cookies?.refreshToken,
+      accessToken: req.cookies?.token
+    });
+
+    clearAuthCookies(res);
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.checkToken = async (req, res) => {
   try {
-  
     const token = req.cookies?.token;
 
- 
     if (!token) {
       return res.status(403).json({
         message: "No token provided",
@@ -137,22 +286,22 @@ exports.checkToken = (req, res) => {
       });
     }
 
-    
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
-        return res.status(401).json({
-          message: "Invalid or expired token",
-          success: false,
-        });
-      }
-
-      
-      res.status(200).json({
-        message: "Token is valid",
-        success: true,
-        userId: decoded.userId,
-        userType: decoded.userType
+    // Also fails when the session was revoked or the user no longer exists
+    let user;
+    try {
+      ({ user } = await authenticateToken(token));
+    } catch (err) {
+      return res.status(401).json({
+        message: "Invalid or expired token",
+        success: false,
       });
+    }
+
+    res.status(200).json({
+      message: "Token is valid",
+      success: true,
+      userId: user._id,
+      userType: user.userType
     });
   } catch (error) {
     console.error("Token verification error:", error);
@@ -164,8 +313,222 @@ exports.checkToken = (req, res) => {
 };
 
 
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session._id.equals(req.sessionId)
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id);
+
+    if (session._id.equals(req.sessionId)) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Sign out everywhere, or everywhere else with ?keepCurrent=true
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const revoked = await revokeAllSessions(req.user._id, {
+      except: keepCurrent ? req.sessionId : null
+    });
+
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.verifyEmail = async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'verify-email');
+    if (!authToken) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await sendEmail(user, 'welcome');
+    }
+
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Your email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Same answer whether or not the email exists, so accounts can't be discovered
+exports.forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const token = await createAuthToken(user._id, 'reset-password');
+      await sendEmail(user, 'resetPassword', {
+        token,
+        validMinutes: TOKEN_TTL_MINUTES['reset-password']
+      });
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const authToken = await consumeAuthToken(req.body.token, 'reset-password');
+    if (!authToken) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Saving the new password signs out every session
+    user.password = req.body.password;
+    // The reset link came through the inbox, which proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // The lockout no longer applies, from any IP
+    await clearLockouts(user.email);
+
+    await sendEmail(user, 'passwordChanged');
+
+    res.json({ message: 'Password has been reset, please log in with your new password' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
+exports.changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current one' });
+    }
+
+    // Saving the new password signs out every session, then this device gets a new one
+    user.password = newPassword;
+    await user.save();
+
+    await signIn(req, res, user);
+
+    await sendEmail(user, 'passwordChanged');
+
+    res.json({ message: 'Password changed, other devices have been signed out' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+
 exports.updateProfile = async (req, res) => {
   const  userId  = req.user._id; 
+  const { fullName, skills, bio, profileImage } = req.body;
 
   try {
 
@@ -4,44 +4,115 @@ const express = require("express");
 const http=require('http')
 
 const connectDB = require("./db.js");
+const { initializeSocket } = require('./initializeSocket.js')
 var cookieParser = require('cookie-parser')
 const cors=require('cors')
+const { limiters } = require('./middleware/rateLimit')
 const userRouter=require('./route/user.router.js')
+const TwoFactorRouter=require('./route/twoFactor.route.js')
 
 const jobRouter=require('./route/job.route.js')
 const BidRouter=require('./route/bid.route.js')
+const PaymentRouter=require('./route/payment.route.js')
+const MilestoneRouter=require('./route/milestone.route.js')
+const ReviewRouter=require('./route/review.route.js')
+const InvitationRouter=require('./route/invitation.route.js')
+const ChatRouter=require('./route/chat.route.js')
+const DeliverableRouter=require('./route/deliverable.route.js')
+const DisputeRouter=require('./route/dispute.route.js')
+const NotificationRouter=require('./route/notification.route.js')
+const EmailRouter=require('./route/email.route.js')
+const AdminRouter=require('./route/admin.route.js')
+const SavedRouter=require('./route/saved.route.js')
+const ProfileRouter=require('./route/profile.route.js')
+const AnalyticsRouter=require('./route/analytics.route.js')
+const { autoAcceptDueDeliverables } = require('./utils/deliverables')
+const { sendDueDigests } = require('./utils/email/digest')
+const { getTransport } = require('./utils/email')
+const { revealDueReviews } = require('./utils/reviews')
+const {
+  migrateNumericDeadlines,
+  expireOpenJobs,
+  flagOverdueJobs,
+  sendDueReminders
+} = require('./utils/jobDeadlines')
+const { checkSavedSearches } = require('./utils/savedSearches')
+const { migrateAllLegacyMessages } = require('./utils/chatMessages')
+const { verifyExistingAccounts } = require('./utils/authTokens')
+const { schedule, startScheduler } = require('./utils/scheduler')
 
 
 const app = express();
 const server=http.createServer(app)
 
 const PORT = process.env.PORT ;
+const corsOrigin = process.env.CLIENT_URL || (process.env.NODE_ENV === 'production'
+  ? 'https://freelance-hub-client-six.vercel.app'
+  : 'http://localhost:5173');
+
 app.use(cors({
-  origin: process.env.NODE_ENV === 'production'
-    ? 'https://freelance-hub-client-six.vercel.app'
-    : 'http://localhost:5173',
-  credentials: true
+  origin: corsOrigin,
+  credentials: true,
+  // Paging details of GET /job/all
+  exposedHeaders: ['X-Total-Count', 'X-Total-Pages', 'X-Page', 'X-Limit']
 }));
+// Behind a proxy (e.g. Render) req.ip must come from X-Forwarded-For for rate limits to work
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? (process.env.NODE_ENV === 'production' ? 1 : 0)));
+
 app.use(cookieParser())
 app.use(express.json());
+app.use(limiters.writes);
 
 app.get("/", (req, res) => {
   res.send("Hello from Job based on ai matchings");
 });
 
 app.use('/', userRouter)
+app.use('/', TwoFactorRouter)
 app.use('/', jobRouter)
 app.use('/',BidRouter)
+app.use('/',PaymentRouter)
+app.use('/',MilestoneRouter)
+app.use('/',ReviewRouter)
+app.use('/',InvitationRouter)
+app.use('/',ChatRouter)
+app.use('/',DeliverableRouter)
+app.use('/',DisputeRouter)
+app.use('/',NotificationRouter)
+app.use('/',EmailRouter)
+app.use('/',AdminRouter)
+app.use('/',SavedRouter)
+app.use('/',ProfileRouter)
+app.use('/',AnalyticsRouter)
 const startServer = async () => {
   try {
      await connectDB();
     console.log("Database connection established...");
+    initializeSocket(server, { corsOrigin });
     server.listen(PORT, () => {
       console.log(`Server is successfully listening on port ${PORT}...`);
     });
+
+    await migrateNumericDeadlines();
+    await verifyExistingAccounts();
+    await migrateAllLegacyMessages();
+
+    // Accept deliveries the poster left unanswered past the deadline
+    schedule('auto-accept-deliveries', 15 * 60 * 1000, autoAcceptDueDeliverables);
+    // Daily job-alert digests, checked hourly so each freelancer gets one a day
+    schedule('job-digests', 60 * 60 * 1000, () => sendDueDigests());
+    schedule('reveal-reviews', 60 * 60 * 1000, revealDueReviews);
+    schedule('expire-jobs', 5 * 60 * 1000, () => expireOpenJobs());
+    schedule('flag-overdue-jobs', 15 * 60 * 1000, () => flagOverdueJobs());
+    schedule('due-date-reminders', 15 * 60 * 1000, () => sendDueReminders());
+    schedule('saved-search-alerts', 30 * 60 * 1000, () => checkSavedSearches());
+    startScheduler();
   } catch (err) {
     console.error("Database cannot be connected!!", err);
   }
 };
 
+// Fail at boot rather than on the first email when the transport is misconfigured
+getTransport();
+
 startServer();
\ No newline at end of file
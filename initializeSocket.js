@@ -3,63 +3,150 @@ const User = require("./models/user.model");
 const Job = require("./models/job.model");
 const Bid = require("./models/bid.model");
 const Chat = require("./models/chat.model");
+const { socketAuth } = require("./middleware/auth");
+const { addMessage, getMessages, markChatRead, markDelivered } = require("./utils/chatMessages");
+const { notifyNewMessage } = require("./utils/notifications");
+const {
+  setIO,
+  userRoom,
+  emitToUser,
+  userConnected,
+  userDisconnected,
+  isOnline
+} = require("./utils/realtime");
 
-const initializeSocket = (server) => {
+// Resolve the chat between the job poster and the accepted freelancer,
+// emitting an error and returning null when the user may not use it
+const findJobChatForUser = async (socket, jobId, userId, action) => {
+  // Verify the job exists
+  const job = await Job.findById(jobId);
+  if (!job) {
+    socket.emit("error", { message: "Job not found" });
+    return null;
+  }
+
+  // Get the accepted bid for this job
+  const acceptedBid = await Bid.findOne({
+    job: jobId,
+    status: 'accepted'
+  });
+
+  if (!acceptedBid) {
+    socket.emit("error", { message: "No accepted bid found for this job" });
+    return null;
+  }
+
+  // Check if user is either job poster or the accepted freelancer
+  const isJobPoster = job.jobPoster.toString() === userId;
+  const isFreelancer = acceptedBid.freelancer.toString() === userId;
+
+  if (!isJobPoster && !isFreelancer) {
+    socket.emit("error", { message: `Not authorized to ${action}` });
+    return null;
+  }
+
+  // Chats should only be created by the REST API, never here
+  const chat = await Chat.findOne({
+    job: jobId,
+    participants: { $all: [job.jobPoster, acceptedBid.freelancer] }
+  }).sort({ createdAt: 1 });
+
+  if (!chat) {
+    socket.emit("error", { message: "Chat not found for this job" });
+    return null;
+  }
+
+  return chat;
+};
+
+// Chats the user is in, and everyone they share a chat with
+const findChatPartners = async (userId) => {
+  const chats = await Chat.find({ participants: userId }).select("participants job");
+  const partnerIds = new Set();
+  chats.forEach(chat => chat.participants.forEach(p => {
+    if (p.toString() !== userId) partnerIds.add(p.toString());
+  }));
+  return { chats, partnerIds };
+};
+
+// Tell the other participants which of their messages reached this user
+const announceDelivery = async (userId) => {
+  const { chats } = await findChatPartners(userId);
+  const { chatIds, deliveredAt } = await markDelivered(chats.map(chat => chat._id), userId);
+
+  chats
+    .filter(chat => chatIds.some(id => id.equals(chat._id)))
+    .forEach(chat => chat.participants
+      .filter(p => p.toString() !== userId)
+      .forEach(p => emitToUser(p, "messagesDelivered", {
+        chatId: chat._id,
+        jobId: chat.job,
+        deliveredTo: userId,
+        deliveredAt
+      })));
+};
+
+const initializeSocket = (server, { corsOrigin } = {}) => {
   const io = socket(server, {
-    cors: { origin: "http://localhost:5173" },
+    cors: { origin: corsOrigin || "http://localhost:5173", credentials: true },
   });
 
-  io.on("connection", (socket) => {
-    // Join a specific job chat room
-    socket.on("joinJobChat", async ({ userId, jobId }) => {
-      try {
-        // Verify the user has access to this job chat
-        const job = await Job.findById(jobId);
-        if (!job) {
-          socket.emit("error", { message: "Job not found" });
-          return;
-        }
+  setIO(io);
 
-        // Get the accepted bid for this job
-        const selectedBid = await Bid.findOne({ 
-          job: jobId, 
-          status: 'accepted' 
-        });
-        
-        if (!selectedBid) {
-          socket.emit("error", { message: "No accepted bid found for this job" });
-          return;
-        }
+  // Reject connections without a valid token cookie; socket.user is the verified user
+  io.use(socketAuth);
 
-        // Check if user is either job poster or the accepted freelancer
-        const isJobPoster = job.jobPoster.toString() === userId;
-        const isFreelancer = selectedBid.freelancer.toString() === userId;
+  io.on("connection", async (socket) => {
+    // Never trust a userId sent in event payloads
+    const userId = socket.user._id.toString();
 
-        if (!isJobPoster && !isFreelancer) {
-          socket.emit("error", { message: "Not authorized to access this chat" });
-          return;
-        }
+    // Personal room for events addressed to this user on any device
+    socket.join(userRoom(userId));
 
-        // Find or create the chat for this job
-        let chat = await Chat.findOne({ job: jobId });
-        
-        // If no chat exists yet, we shouldn't create one here
-        // Chats should only be created when a bid is accepted
-        if (!chat) {
-          socket.emit("error", { message: "Chat not found for this job" });
-          return;
-        }
+    const firstConnection = userConnected(userId);
+
+    // Online status of chat partners, answered through the ack callback
+    socket.on("getPresence", async ({ userIds = [] } = {}, ack) => {
+      if (typeof ack !== "function") return;
+      try {
+        const { partnerIds } = await findChatPartners(userId);
+        const presence = await User.find({
+          _id: { $in: userIds.filter(id => partnerIds.has(String(id))) }
+        }).select("lastSeenAt");
+
+        ack(presence.map(user => ({
+          userId: user._id,
+          online: isOnline(user._id),
+          lastSeenAt: user.lastSeenAt
+        })));
+      } catch (error) {
+        console.error("Error getting presence:", error);
+        ack([]);
+      }
+    });
+
+    // Typing indicators, only relayed inside a chat room the user has joined
+    const relayTyping = (isTyping) => ({ jobId } = {}) => {
+      const room = `job_${jobId}`;
+      if (!socket.rooms.has(room)) return;
+      socket.to(room).emit("typing", { jobId, userId, isTyping });
+    };
+    socket.on("typingStart", relayTyping(true));
+    socket.on("typingStop", relayTyping(false));
+
+    // Join a specific job chat room
+    socket.on("joinJobChat", async ({ jobId } = {}) => {
+      try {
+        const chat = await findJobChatForUser(socket, jobId, userId, "access this chat");
+        if (!chat) return;
 
         // Join the room
         const room = `job_${jobId}`;
         socket.join(room);
-        
-        const user = await User.findById(userId).select("fullName");
-        console.log(`${user.fullName} joined job chat room ${room}`);
-        
-        // Get recent messages
-        const recentMessages = chat.messages.slice(-50); // Get last 50 messages
-        socket.emit("previousMessages", recentMessages);
+
+        // Get recent messages, older ones are paged through the REST API
+        const { messages, hasMore, nextCursor } = await getMessages(chat, { limit: 50 });
+        socket.emit("previousMessages", messages, { hasMore, nextCursor });
       } catch (error) {
         console.error("Error joining job chat:", error);
         socket.emit("error", { message: "Failed to join chat" });
@@ -67,71 +154,37 @@ const initializeSocket = (server) => {
     });
 
     // Send a message in a job chat
-    socket.on("sendJobMessage", async ({ userId, jobId, content }) => {
+    socket.on("sendJobMessage", async ({ jobId, content } = {}) => {
       try {
-        // Verify the job exists
-        const job = await Job.findById(jobId);
-        if (!job) {
-          socket.emit("error", { message: "Job not found" });
-          return;
-        }
-
-        // Get the accepted bid for this job
-        const acceptedBid = await Bid.findOne({ 
-          job: jobId, 
-          status: 'accepted' 
-        });
-        
-        if (!acceptedBid) {
-          socket.emit("error", { message: "No accepted bid found for this job" });
-          return;
-        }
-
-        // Check if user is either job poster or the accepted freelancer
-        const isJobPoster = job.jobPoster.toString() === userId;
-        const isFreelancer = acceptedBid.freelancer.toString() === userId;
-
-        if (!isJobPoster && !isFreelancer) {
-          socket.emit("error", { message: "Not authorized to send messages in this chat" });
-          return;
-        }
-
-        // Find the chat for this job
-        let chat = await Chat.findOne({ job: jobId });
-        
-        if (!chat) {
-          socket.emit("error", { message: "Chat not found for this job" });
+        if (typeof content !== "string" || !content.trim()) {
+          socket.emit("error", { message: "Message content is required" });
           return;
         }
 
-        // Get user details for the message
-        const user = await User.findById(userId).select("fullName profileImage");
+        const chat = await findJobChatForUser(socket, jobId, userId, "send messages in this chat");
+        if (!chat) return;
 
-        // Create new message
-        const newMessage = {
+        // Store the message in its own document, delivered at once if the recipient is online
+        const recipients = chat.participants.filter(p => p.toString() !== userId);
+        const newMessage = await addMessage(chat, {
           sender: userId,
           content,
-          timestamp: new Date(),
-          read: false
-        };
-
-        // Add message to chat
-        chat.messages.push(newMessage);
-        chat.lastActivity = new Date();
-        await chat.save();
+          delivered: recipients.some(isOnline)
+        });
 
         // Prepare the message with sender details for front-end
         const messageWithDetails = {
-          ...newMessage,
+          ...newMessage.toObject(),
           sender: {
             _id: userId,
-            fullName: user.fullName,
-            profileImage: user.profileImage || ''
+            fullName: socket.user.fullName,
+            profileImage: socket.user.profileImage || ''
           }
         };
 
         // Broadcast to everyone in the room
         io.to(`job_${jobId}`).emit("newJobMessage", messageWithDetails);
+        await notifyNewMessage(chat, newMessage, socket.user);
       } catch (error) {
         console.error("Error sending job message:", error);
         socket.emit("error", { message: "Failed to send message" });
@@ -139,36 +192,55 @@ const initializeSocket = (server) => {
     });
 
     // Mark messages as read
-    socket.on("markMessagesRead", async ({ userId, jobId }) => {
+    socket.on("markMessagesRead", async ({ jobId } = {}) => {
       try {
-        // Find the chat for this job
-        const chat = await Chat.findOne({ job: jobId });
-        
+        const chat = await findJobChatForUser(socket, jobId, userId, "access this chat");
         if (!chat) return;
 
-        let updated = false;
-        
         // Mark unread messages from other users as read
-        chat.messages.forEach(msg => {
-          if (!msg.read && msg.sender.toString() !== userId) {
-            msg.read = true;
-            updated = true;
-          }
-        });
+        const { count, readAt } = await markChatRead(chat, userId);
 
-        if (updated) {
-          await chat.save();
-          // Notify room that messages were read
-          socket.to(`job_${jobId}`).emit("messagesRead", { jobId, readBy: userId });
+        if (count > 0) {
+          // Notify the senders that their messages were read
+          chat.participants
+            .filter(p => p.toString() !== userId)
+            .forEach(p => emitToUser(p, "messagesRead", {
+              chatId: chat._id,
+              jobId,
+              readBy: userId,
+              readAt
+            }));
         }
       } catch (error) {
         console.error("Error marking messages as read:", error);
       }
     });
 
-    socket.on("disconnect", () => {
-      console.log("User disconnected");
+    socket.on("disconnect", async () => {
+      if (!userDisconnected(userId)) return;
+
+      try {
+        // Last connection closed, the user is now offline
+        const lastSeenAt = new Date();
+        await User.findByIdAndUpdate(userId, { lastSeenAt });
+
+        const { partnerIds } = await findChatPartners(userId);
+        partnerIds.forEach(id => emitToUser(id, "presence", { userId, online: false, lastSeenAt }));
+      } catch (error) {
+        console.error("Error announcing offline presence:", error);
+      }
     });
+
+    // Listeners are in place, now tell chat partners this user came online
+    try {
+      if (firstConnection) {
+        const { partnerIds } = await findChatPartners(userId);
+        partnerIds.forEach(id => emitToUser(id, "presence", { userId, online: true }));
+      }
+      await announceDelivery(userId);
+    } catch (error) {
+      console.error("Error announcing presence:", error);
+    }
   });
 
   return io;
@@ -194,19 +266,16 @@ const createJobChat = async (jobId, jobPosterId, freelancerId) => {
     const jobPoster = await User.findById(jobPosterId).select("fullName");
     
     // Create new chat with initial congratulations message
-    const newChat = new Chat({
+    const newChat = await Chat.create({
       participants: [jobPosterId, freelancerId],
       job: jobId,
-      messages: [{
-        sender: jobPosterId,
-        content: `Congratulations! Your bid for "${job.title}" has been accepted.`,
-        timestamp: new Date(),
-        read: false
-      }],
       lastActivity: new Date()
     });
 
-    await newChat.save();
+    await addMessage(newChat, {
+      sender: jobPosterId,
+      content: `Congratulations! Your bid for "${job.title}" has been accepted.`
+    });
     
     return newChat;
   } catch (error) {
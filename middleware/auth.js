@@ -1,5 +1,58 @@
 const jwt = require("jsonwebtoken");
+const cookie = require("cookie");
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { ACCESS_TOKEN_AUDIENCE } = require('../utils/sessions');
+
+// How often a session's lastSeenAt is refreshed by API activity
+const LAST_SEEN_INTERVAL = 60000;
+
+// Verify a `token` cookie value and load its user and session, shared by HTTP and socket auth
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw new Error("Please Login! ");
+  }
+
+  // The audience keeps other signed tokens (login tickets, email links) from passing as a login
+  const decodedObj = await jwt.verify(token, process.env.JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
+
+
+  const { userId, sessionId } = decodedObj;
+
+  // Tokens from before server-side sessions can't be revoked, so they are no longer accepted
+  const session = sessionId && await Session.findById(sessionId);
+  if (!session || !session.isActive() || session.user.toString() !== userId) {
+    throw new Error("Session expired, please login again");
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+
+  return { user, session };
+};
+
+// Why a suspended or banned user is locked out, or null when they may use the API.
+// Suspensions with an end date lapse on their own.
+const accountRestriction = (user) => {
+  if (user.accountStatus === 'banned') {
+    return 'This account has been banned';
+  }
+
+  if (user.accountStatus === 'suspended' && (!user.suspendedUntil || user.suspendedUntil > new Date())) {
+    return user.suspendedUntil
+      ? `This account is suspended until ${user.suspendedUntil.toISOString()}`
+      : 'This account is suspended';
+  }
+
+  return null;
+};
 
 const userAuth = async (req, res, next) => {
   try {
@@ -8,24 +61,70 @@ const userAuth = async (req, res, next) => {
       return res.status(401).send("Please Login! ");
     }
 
-    const decodedObj = await jwt.verify(token, process.env.JWT_SECRET);
+    const { user, session } = await authenticateToken(token);
+
+    const restriction = accountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ message: restriction, reason: user.moderationReason });
+    }
+
+    req.user = user;
+    req.sessionId = session._id;
+    next();
+  } catch (err) {
+    // 401 tells the client to call /user/refresh and retry
+    res.status(401).send("ERROR: " + err.message);
+  }
+};
+
+// Use after userAuth on routes only admins may call
+const requireAdmin = (req, res, next) => {
+  if (req.user?.userType !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+// Use after userAuth on routes only freelancers may call
+const requireFreelancer = (req, res, next) => {
+  if (req.user?.userType !== 'freelancer') {
+    return res.status(403).json({ message: 'Only freelancers can access this endpoint' });
+  }
+  next();
+};
 
+// Use after userAuth on routes that need a confirmed email, like posting jobs and bidding
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  next();
+};
 
-    const { userId } = decodedObj;
+// Socket.IO middleware: authenticate the handshake with the same cookie as userAuth
+const socketAuth = async (socket, next) => {
+  try {
+    const { token } = cookie.parse(socket.request.headers.cookie || '');
+    const { user } = await authenticateToken(token);
 
-    const user = await User.findById(userId);
- 
-    if (!user) {
-      throw new Error("User not found");
+    const restriction = accountRestriction(user);
+    if (restriction) {
+      return next(new Error("Forbidden: " + restriction));
     }
 
-    req.user = user;
+    socket.user = user;
     next();
   } catch (err) {
-    res.status(400).send("ERROR: " + err.message);
+    next(new Error("Unauthorized: " + err.message));
   }
 };
 
 module.exports = {
+  authenticateToken,
+  accountRestriction,
   userAuth,
-};
\ No newline at end of file
+  requireAdmin,
+  requireFreelancer,
+  requireVerifiedEmail,
+  socketAuth,
+};
@@ -0,0 +1,125 @@
+const { getStore } = require('../utils/rateLimit');
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+const MINUTE = 60000;
+
+// Fixed-window rate limit. `key` picks what is counted (IP, user, email...), requests
+// it returns nothing for are not limited. Sends the standard RateLimit-* headers, for
+// the most restrictive limit when a route has several.
+const rateLimit = ({ name, windowMs, max, key, message = 'Too many requests, please try again later' }) =>
+  async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    try {
+      const { count, resetAt } = await getStore().increment(`${name}:${id}`, windowMs);
+      const remaining = Math.max(max - count, 0);
+      const resetSeconds = Math.max(Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000), 0);
+
+      if (req.rateLimitRemaining === undefined || remaining < req.rateLimitRemaining) {
+        req.rateLimitRemaining = remaining;
+        res.set({
+          'RateLimit-Limit': String(max),
+          'RateLimit-Remaining': String(remaining),
+          'RateLimit-Reset': String(resetSeconds),
+          'RateLimit-Policy': `${max};w=${Math.round(windowMs / 1000)}`
+        });
+      }
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ message, retryAfter: resetSeconds });
+      }
+
+      next();
+    } catch (error) {
+      // A broken store must not take the API down with it
+      console.error(`Rate limit ${name} error:`, error);
+      next();
+    }
+  };
+
+const byIp = (req) => req.ip;
+const byUser = (req) => req.user?._id?.toString();
+const byEmail = (req) => typeof req.body?.email === 'string' && req.body.email.trim().toLowerCase();
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Limits are per window; each max can be changed with the variable named next to it
+const limiters = {
+  login: [
+    rateLimit({
+      name: 'login-ip',
+      windowMs: 15 * MINUTE,
+      max: envNumber('RATE_LIMIT_LOGIN_IP_MAX', 20),
+      key: byIp,
+      message: 'Too many login attempts, please try again later'
+    }),
+    rateLimit({
+      name: 'login-account',
+      windowMs: 15 * MINUTE,
+      max: envNumber('RATE_LIMIT_LOGIN_ACCOUNT_MAX', 10),
+      key: byEmail,
+      message: 'Too many login attempts for this account, please try again later'
+    })
+  ],
+
+  twoFactorLogin: rateLimit({
+    name: 'login-2fa-ip',
+    windowMs: 15 * MINUTE,
+    max: envNumber('RATE_LIMIT_LOGIN_IP_MAX', 20),
+    key: byIp,
+    message: 'Too many login attempts, please try again later'
+  }),
+
+  register: rateLimit({
+    name: 'register-ip',
+    windowMs: 60 * MINUTE,
+    max: envNumber('RATE_LIMIT_REGISTER_MAX', 5),
+    key: byIp,
+    message: 'Too many accounts created from this address, please try again later'
+  }),
+
+  passwordReset: [
+    rateLimit({
+      name: 'password-reset-ip',
+      windowMs: 60 * MINUTE,
+      max: envNumber('RATE_LIMIT_PASSWORD_RESET_MAX', 5),
+      key: byIp
+    }),
+    rateLimit({
+      name: 'password-reset-account',
+      windowMs: 60 * MINUTE,
+      max: envNumber('RATE_LIMIT_PASSWORD_RESET_MAX', 5),
+      key: byEmail
+    })
+  ],
+
+  // Counted per freelancer, and separately for the two ways of placing a bid
+  createBid: rateLimit({
+    name: 'create-bid',
+    windowMs: 60 * MINUTE,
+    max: envNumber('RATE_LIMIT_CREATE_BID_MAX', 20),
+    key: byUser,
+    message: 'Too many bids placed, please try again later'
+  }),
+
+  applyForJob: rateLimit({
+    name: 'apply-for-job',
+    windowMs: 60 * MINUTE,
+    max: envNumber('RATE_LIMIT_APPLY_MAX', 20),
+    key: byUser,
+    message: 'Too many applications sent, please try again later'
+  }),
+
+  // Every POST, PUT, PATCH and DELETE from one address
+  writes: rateLimit({
+    name: 'writes-ip',
+    windowMs: 15 * MINUTE,
+    max: envNumber('RATE_LIMIT_WRITES_MAX', 300),
+    key: (req) => !SAFE_METHODS.includes(req.method) && req.ip
+  })
+};
+
+module.exports = { rateLimit, limiters };
@@ -0,0 +1,100 @@
+const multer = require('multer');
+
+const MAX_FILE_SIZE = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_FILES = Number(process.env.ATTACHMENT_MAX_FILES) || 5;
+
+const ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/zip',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const ZIP = [[0x50, 0x4b, 0x03, 0x04], [0x50, 0x4b, 0x05, 0x06]];
+const OLE = [[0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]];
+
+// Leading bytes each binary type must start with, so a renamed executable can't pass
+// as an image. Text types have no signature and are checked for binary content instead.
+const FILE_SIGNATURES = {
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'application/pdf': [Buffer.from('%PDF-')],
+  'application/zip': ZIP,
+  'application/msword': OLE,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ZIP,
+  'application/vnd.ms-excel': OLE,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ZIP,
+  'application/vnd.ms-powerpoint': OLE,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ZIP
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  Buffer.from(bytes).equals(buffer.subarray(offset, offset + bytes.length));
+
+// Whether the file content matches the type the client declared
+const contentMatchesType = (buffer, mimetype) => {
+  if (mimetype === 'image/webp') {
+    return startsWith(buffer, Buffer.from('RIFF')) && startsWith(buffer, Buffer.from('WEBP'), 8);
+  }
+  if (mimetype === 'text/plain' || mimetype === 'text/csv') {
+    return !buffer.includes(0);
+  }
+  return (FILE_SIGNATURES[mimetype] || []).some(bytes => startsWith(buffer, bytes));
+};
+
+// Files are kept in memory and handed to the storage backend by the controller
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      req.fileValidationError = `${file.originalname} has an unsupported file type (${file.mimetype})`;
+      return cb(null, false);
+    }
+    cb(null, true);
+  }
+});
+
+const uploadErrorMessages = {
+  LIMIT_FILE_SIZE: `Each file must be at most ${Math.round(MAX_FILE_SIZE / (1024 * 1024))} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_FILES} files can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+};
+
+// Accept up to MAX_FILES files in `field`, answering 400 when a file is rejected
+const uploadFiles = (field) => (req, res, next) => {
+  upload.array(field, MAX_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: uploadErrorMessages[err.code] || err.message });
+    }
+    if (err) return next(err);
+
+    if (req.fileValidationError) {
+      return res.status(400).json({ message: req.fileValidationError });
+    }
+
+    // The declared type comes from the client, so check it against the content
+    const mismatched = (req.files || []).find(file => !contentMatchesType(file.buffer, file.mimetype));
+    if (mismatched) {
+      return res.status(400).json({
+        message: `${mismatched.originalname} does not match its declared file type (${mismatched.mimetype})`
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadFiles, ALLOWED_MIME_TYPES, MAX_FILE_SIZE, MAX_FILES };
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// File stored through utils/storage, embedded wherever uploads are allowed
+const AttachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Storage keys are internal, clients download through the API
+AttachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.key;
+    return ret;
+  }
+});
+
+module.exports = AttachmentSchema;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One entry per moderation action taken by an admin
+const AuditLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'user.suspend',
+      'user.ban',
+      'user.reinstate',
+      'job.takedown',
+      'job.restore',
+      'bid.hide',
+      'bid.unhide',
+      'dispute.resolve'
+    ],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Job', 'Bid', 'Dispute'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
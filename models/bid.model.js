@@ -1,5 +1,68 @@
 const mongoose = require('mongoose');
 
+const BidMilestoneSchema = new mongoose.Schema({
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const CounterOfferSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true
+  },
+  deliveryTime: {
+    type: Number,
+    required: true
+  },
+  milestones: [BidMilestoneSchema],
+  message: {
+    type: String,
+    default: ''
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One step of the negotiation, with the terms on the table after it
+const NegotiationEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [
+      'submitted',
+      'edited',
+      'withdrawn',
+      'countered',
+      'counter-accepted',
+      'counter-declined',
+      'accepted',
+      'rejected'
+    ],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: Number,
+  deliveryTime: Number,
+  message: {
+    type: String,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const BidSchema = new mongoose.Schema({
   job: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,15 +82,32 @@ const BidSchema = new mongoose.Schema({
     type: Number, // In days
     required: true
   },
+  // Per-milestone pricing when the job has a milestone plan
+  milestones: [BidMilestoneSchema],
   proposal: {
     type: String,
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected'],
+    enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
     default: 'pending'
   },
+  // The poster's proposed terms while they await the freelancer's answer
+  counterOffer: {
+    type: CounterOfferSchema,
+    default: null
+  },
+  negotiation: [NegotiationEntrySchema],
+  // Set when an admin hides the bid from the job poster
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  hiddenReason: {
+    type: String,
+    default: ''
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 
-const MessageSchema = new mongoose.Schema({
+// Embedded message shape, only used for chats created before messages moved to their own collection
+const LegacyMessageSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -30,7 +31,19 @@ const ChatSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Job'
   },
-  messages: [MessageSchema],
+  // Legacy embedded messages, moved to the Message collection on first access
+  messages: [LegacyMessageSchema],
+  // Snapshot of the newest message for chat lists
+  lastMessage: {
+    _id: mongoose.Schema.Types.ObjectId,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    content: String,
+    attachmentCount: Number,
+    timestamp: Date
+  },
   lastActivity: {
     type: Date,
     default: Date.now
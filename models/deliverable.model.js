@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const AttachmentSchema = require('./attachment.schema');
+
+const DeliverableSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  attachments: [AttachmentSchema],
+  status: {
+    type: String,
+    enum: ['submitted', 'accepted', 'revision-requested'],
+    default: 'submitted'
+  },
+  // Poster's feedback when asking for a revision
+  revisionComments: {
+    type: String,
+    default: ''
+  },
+  // Accepted automatically if the poster hasn't responded by then
+  autoAcceptAt: {
+    type: Date,
+    required: true
+  },
+  autoAccepted: {
+    type: Boolean,
+    default: false
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+DeliverableSchema.index({ job: 1, createdAt: -1 });
+DeliverableSchema.index({ status: 1, autoAcceptAt: 1 });
+
+module.exports = mongoose.model('Deliverable', DeliverableSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const AttachmentSchema = require('./attachment.schema');
+
+const EvidenceSchema = new mongoose.Schema({
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  attachments: [AttachmentSchema]
+}, { timestamps: true });
+
+const DisputeSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  jobPoster: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  evidence: [EvidenceSchema],
+  // Escrowed payments frozen by this dispute
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  status: {
+    type: String,
+    // `resolving` while an admin's resolution is moving the funds
+    enum: ['open', 'resolving', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['release', 'refund', 'split']
+    },
+    freelancerAmount: Number,
+    posterAmount: Number,
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+DisputeSchema.index({ job: 1, status: 1 });
+DisputeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Dispute', DisputeSchema);
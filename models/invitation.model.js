@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const InvitationSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  jobPoster: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+InvitationSchema.index({ job: 1, freelancer: 1 }, { unique: true });
+InvitationSchema.index({ freelancer: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -1,5 +1,50 @@
 const mongoose = require('mongoose');
 
+const MilestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Amount agreed in the accepted bid, may differ from the planned amount
+  agreedAmount: {
+    type: Number,
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    // `funding` while its escrow hold is being created
+    enum: ['pending', 'funding', 'funded', 'submitted', 'paid'],
+    default: 'pending'
+  },
+  submissionNote: {
+    type: String,
+    default: ''
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  fundedAt: Date,
+  submittedAt: Date,
+  approvedAt: Date,
+  paidAt: Date,
+  // Set once the due-date reminder went out, see utils/jobDeadlines.js
+  reminderSentAt: {
+    type: Date,
+    default: null
+  }
+});
+
 const JobSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -14,14 +59,22 @@ const JobSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Bidding closes at this date, after which the job expires if nobody was hired
   deadline: {
-    type: Number,
+    type: Date,
     required: true
   },
   skillsRequired: [{
     type: String,
     trim: true
   }],
+  milestones: [MilestoneSchema],
+  // Invite-only jobs are hidden from, and closed to bids by, freelancers who weren't invited
+  visibility: {
+    type: String,
+    enum: ['public', 'invite-only'],
+    default: 'public'
+  },
   jobPoster: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -29,7 +82,7 @@ const JobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['open', 'in-progress', 'completed', 'canceled'],
+    enum: ['open', 'in-progress', 'disputed', 'completed', 'canceled', 'expired'],
     default: 'open'
   },
   selectedBid: {
@@ -37,10 +90,63 @@ const JobSchema = new mongoose.Schema({
     ref: 'Bid',
     default: null
   },
+  // Revisions the poster may request on deliveries before having to accept
+  revisionLimit: {
+    type: Number,
+    min: 0,
+    default: () => Number(process.env.DEFAULT_REVISION_LIMIT ?? 2)
+  },
+  revisionsUsed: {
+    type: Number,
+    default: 0
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  canceledAt: {
+    type: Date,
+    default: null
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  // When the hired freelancer has to deliver, from the accepted bid's deliveryTime
+  deliveryDueAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the delivery date passed without the work being delivered
+  overdueAt: {
+    type: Date,
+    default: null
+  },
+  deliveryReminderSentAt: {
+    type: Date,
+    default: null
+  },
+  // Set when an admin takes the job down, hiding it from everyone but its poster
+  takenDownAt: {
+    type: Date,
+    default: null
+  },
+  takedownReason: {
+    type: String,
+    default: ''
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, { timestamps: true });
 
+JobSchema.index(
+  { title: 'text', description: 'text', skillsRequired: 'text' },
+  { weights: { title: 10, skillsRequired: 5, description: 1 }, name: 'JobTextIndex' }
+);
+JobSchema.index({ status: 1, createdAt: -1 });
+JobSchema.index({ status: 1, deadline: 1 });
+JobSchema.index({ status: 1, deliveryDueAt: 1 });
+
 module.exports = mongoose.model('Job', JobSchema);
\ No newline at end of file
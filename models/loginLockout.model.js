@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Failed logins in a row for one email address from one IP (or from any IP, with ip '*'),
+// and the resulting lock.
+// Kept apart from the user so unknown emails are counted the same way, see utils/loginLockout.js
+const LoginLockoutSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String,
+    required: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Locks last at most a day, so the counter is forgotten a day after the last failure
+  lastFailedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LoginLockoutSchema.index({ email: 1, ip: 1 }, { unique: true });
+LoginLockoutSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: 24 * 3600 });
+
+module.exports = mongoose.model('LoginLockout', LoginLockoutSchema);
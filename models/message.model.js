@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const AttachmentSchema = require('./attachment.schema');
+
+// Chat messages live in their own collection so a busy chat doesn't grow one document forever
+const MessageSchema = new mongoose.Schema({
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // May be empty when the message only carries attachments
+  content: {
+    type: String,
+    default: ''
+  },
+  attachments: [AttachmentSchema],
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // When the recipient's client received the message
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // When the recipient opened the message
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+MessageSchema.pre('validate', function (next) {
+  if (!this.content?.trim() && this.attachments.length === 0) {
+    return next(new Error('A message needs content or at least one attachment'));
+  }
+  next();
+});
+
+// Cursor paging walks a chat's messages by _id
+MessageSchema.index({ chat: 1, _id: -1 });
+MessageSchema.index({ chat: 1, readAt: 1, sender: 1 });
+MessageSchema.index({ chat: 1, deliveredAt: 1, sender: 1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'bid.created',
+      'bid.accepted',
+      'bid.rejected',
+      'bid.countered',
+      'bid.updated',
+      'job.canceled',
+      'job.completed',
+      'job.expired',
+      'job.overdue',
+      'job.reminder',
+      'invitation.received',
+      'invitation.accepted',
+      'invitation.declined',
+      'savedSearch.matched',
+      'message.received'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  // Ids the client needs to link to the source, e.g. { jobId, bidId, chatId }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 
+const PaymentHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'refunded', 'disputed', 'split'],
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['held', 'released', 'refunded', 'frozen', 'unfrozen', 'split'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const PaymentSchema = new mongoose.Schema({
   job: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +36,11 @@ const PaymentSchema = new mongoose.Schema({
     ref: 'Bid',
     required: true
   },
+  // Set when the payment covers a single milestone of the job
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   amount: {
     type: Number,
     required: true
@@ -25,15 +55,35 @@ const PaymentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // pending = held in escrow, completed = released to freelancer, refunded = returned to poster,
+  // disputed = frozen while a dispute is open, split = divided between both by an admin
   status: {
     type: String,
-    enum: ['pending', 'completed', 'refunded'],
+    enum: ['pending', 'completed', 'refunded', 'disputed', 'split'],
     default: 'pending'
   },
+  // Portions paid out and returned, only set for split payments
+  releasedAmount: {
+    type: Number,
+    default: null
+  },
+  refundedAmount: {
+    type: Number,
+    default: null
+  },
+  history: [PaymentHistorySchema],
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, { timestamps: true });
 
-module.exports = mongoose.model('Payment', PaymentSchema);
\ No newline at end of file
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const ReviewSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Side of the job the reviewer was on
+  reviewerRole: {
+    type: String,
+    enum: ['freelancer', 'jobPoster'],
+    required: true
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  comment: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Hidden until both sides have reviewed or the review window closes
+  visible: {
+    type: Boolean,
+    default: false
+  },
+  revealAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+ReviewSchema.index({ job: 1, reviewer: 1 }, { unique: true });
+ReviewSchema.index({ visible: 1, revealAt: 1 });
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A job a freelancer bookmarked
+const SavedJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SavedJobSchema.index({ user: 1, job: 1 }, { unique: true });
+SavedJobSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SavedJob', SavedJobSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A named set of getJobs filters a freelancer is alerted about, see utils/savedSearches.js
+const SavedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  filters: {
+    keyword: { type: String, default: '' },
+    minBudget: { type: Number, default: null },
+    maxBudget: { type: Number, default: null },
+    skills: [{ type: String, trim: true }]
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Jobs posted after this were not yet checked for alerts
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Jobs posted after this are new to the freelancer, counted in newMatchCount
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  newMatchCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SavedSearchSchema.index({ user: 1, createdAt: -1 });
+SavedSearchSchema.index({ alertsEnabled: 1, lastCheckedAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
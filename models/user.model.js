@@ -2,6 +2,28 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Past work a freelancer shows on their public profile
+const PortfolioItemSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  link: {
+    type: String,
+    default: ''
+  },
+  // Image URLs, like profileImage
+  images: [{
+    type: String,
+    trim: true
+  }]
+}, { timestamps: true });
+
 const UserSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -20,9 +42,28 @@ const UserSchema = new mongoose.Schema({
   },
   userType: {
     type: String,
-    enum: ['freelancer', 'jobPoster'],
+    // Admins can't register themselves, the role is assigned in the database
+    enum: ['freelancer', 'jobPoster', 'admin'],
     required: true
   },
+  // New accounts can't post jobs or bid until they confirm their email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP second factor; secrets are encrypted and, like the recovery code hashes, never selected by default
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date, default: null },
+    secret: { type: String, default: null, select: false },
+    pendingSecret: { type: String, default: null, select: false },
+    recoveryCodes: { type: [String], default: [], select: false },
+    lastUsedStep: { type: Number, default: -1, select: false }
+  },
   skills: [{
     type: String,
     trim: true
@@ -35,6 +76,7 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  portfolio: [PortfolioItemSchema],
   moneyEarned: {
     type: Number,
     default: 0
@@ -43,6 +85,60 @@ const UserSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // Moderation state, enforced by userAuth
+  accountStatus: {
+    type: String,
+    enum: ['active', 'suspended', 'banned'],
+    default: 'active'
+  },
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  moderationReason: {
+    type: String,
+    default: ''
+  },
+  // Which notification types the user receives, see utils/notifications.js
+  notificationPreferences: {
+    bidCreated: { type: Boolean, default: true },
+    bidAccepted: { type: Boolean, default: true },
+    bidRejected: { type: Boolean, default: true },
+    bidCountered: { type: Boolean, default: true },
+    bidUpdated: { type: Boolean, default: true },
+    jobCanceled: { type: Boolean, default: true },
+    jobCompleted: { type: Boolean, default: true },
+    jobExpired: { type: Boolean, default: true },
+    jobOverdue: { type: Boolean, default: true },
+    jobReminder: { type: Boolean, default: true },
+    invitationReceived: { type: Boolean, default: true },
+    invitationAnswered: { type: Boolean, default: true },
+    savedSearchMatched: { type: Boolean, default: true },
+    messageReceived: { type: Boolean, default: true }
+  },
+  // Email categories the user receives, each email carries an unsubscribe link
+  emailPreferences: {
+    bids: { type: Boolean, default: true },
+    jobs: { type: Boolean, default: true },
+    payments: { type: Boolean, default: true },
+    digest: { type: Boolean, default: true }
+  },
+  lastDigestAt: {
+    type: Date,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -52,6 +148,9 @@ const UserSchema = new mongoose.Schema({
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
 
+  // Remember to sign out every device once a changed password is stored
+  this.$locals.passwordChanged = !this.isNew;
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -61,6 +160,16 @@ UserSchema.pre('save', async function (next) {
   }
 });
 
+UserSchema.post('save', async function () {
+  if (!this.$locals.passwordChanged) return;
+  this.$locals.passwordChanged = false;
+
+  await mongoose.model('Session').updateMany(
+    { user: this._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+});
+
 // Method to compare passwords
 UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const disputeController = require('../controllers/dispute.controller');
+const adminController = require('../controllers/admin.controller');
+const AuditLog = require('../models/auditLog.model');
+const Dispute = require('../models/dispute.model');
+const { userAuth, requireAdmin } = require("../middleware/auth");
+
+// Every route here is admin only
+router.use('/admin', userAuth, requireAdmin);
+
+const reasonCheck = check('reason', 'A reason is required').trim().notEmpty();
+
+router.get('/admin/stats', adminController.getStats);
+
+const AUDIT_ACTIONS = AuditLog.schema.path('action').enumValues;
+const AUDIT_TARGET_TYPES = AuditLog.schema.path('targetType').enumValues;
+const DISPUTE_STATUSES = Dispute.schema.path('status').enumValues;
+
+router.get(
+  '/admin/audit-log',
+  [
+    check('action', `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`).optional().isIn(AUDIT_ACTIONS),
+    check('targetType', `Target type must be one of: ${AUDIT_TARGET_TYPES.join(', ')}`).optional().isIn(AUDIT_TARGET_TYPES),
+    check('target', 'Target must be an ID').optional().isMongoId(),
+    check('admin', 'Admin must be an ID').optional().isMongoId()
+  ],
+  adminController.getAuditLog
+);
+
+router.get(
+  '/admin/users',
+  [
+    check('q', 'Search must be text').optional().isString(),
+    check('userType', 'User type must be text').optional().isString(),
+    check('status', 'Status must be text').optional().isString()
+  ],
+  adminController.listUsers
+);
+
+router.get('/admin/users/:id', adminController.getUser);
+
+router.patch(
+  '/admin/users/:id/suspend',
+  [
+    reasonCheck,
+    check('days', 'Days must be a positive number').optional().isFloat({ gt: 0 })
+  ],
+  adminController.suspendUser
+);
+
+router.patch('/admin/users/:id/ban', [reasonCheck], adminController.banUser);
+
+router.patch('/admin/users/:id/reinstate', adminController.reinstateUser);
+
+router.patch('/admin/jobs/:id/takedown', [reasonCheck], adminController.takeDownJob);
+
+router.patch('/admin/jobs/:id/restore', adminController.restoreJob);
+
+router.patch('/admin/bids/:id/hide', [reasonCheck], adminController.hideBid);
+
+router.patch('/admin/bids/:id/unhide', adminController.unhideBid);
+
+router.get(
+  '/admin/disputes',
+  [check('status', `Status must be one of: ${DISPUTE_STATUSES.join(', ')}`).optional().isIn(DISPUTE_STATUSES)],
+  disputeController.listDisputes
+);
+
+router.get('/admin/disputes/:id', disputeController.getDisputeForReview);
+
+router.patch(
+  '/admin/disputes/:id/resolve',
+  [
+    check('outcome', 'Outcome must be release, refund or split').isIn(['release', 'refund', 'split']),
+    check('freelancerAmount', 'Freelancer amount must be a number').if(check('outcome').equals('split')).isNumeric(),
+    check('note', 'Note must be text').optional().isString()
+  ],
+  disputeController.resolveDispute
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const analyticsController = require('../controllers/analytics.controller');
+const { userAuth } = require("../middleware/auth");
+const { GROUP_BY_UNITS } = require('../utils/analytics');
+
+router.get(
+  '/analytics/spend',
+  [
+    userAuth,
+    [
+      check('from', 'from must be a date').optional().isISO8601(),
+      check('to', 'to must be a date').optional().isISO8601(),
+      check('groupBy', `groupBy must be one of: ${GROUP_BY_UNITS.join(', ')}`).optional().isIn(GROUP_BY_UNITS),
+      check('timezone', 'timezone must be text').optional().isString()
+    ]
+  ],
+  analyticsController.getPosterAnalytics
+);
+
+module.exports = router;
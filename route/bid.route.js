@@ -3,13 +3,16 @@ const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
 const bidController = require('../controllers/bid.controller');
-const { userAuth } = require("../middleware/auth");
+const { userAuth, requireVerifiedEmail } = require("../middleware/auth");
+const { limiters } = require("../middleware/rateLimit");
 
 
 router.post(
   '/',
   [
     userAuth,
+    requireVerifiedEmail,
+    limiters.createBid,
     [
       check('jobId', 'Job ID is required').not().isEmpty(),
       check('amount', 'Amount is required and must be a number').isNumeric(),
@@ -28,4 +31,30 @@ router.patch('/bids/:id/accept', userAuth, bidController.acceptBid);
 
 router.patch('/bids/:id/reject', userAuth, bidController.rejectBid);
 
+const termChecks = [
+  check('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 }),
+  check('deliveryTime', 'Delivery time must be at least 1 day').optional().isInt({ min: 1 }),
+  check('message', 'Message must be text').optional().isString()
+];
+
+router.patch(
+  '/bids/:id',
+  [
+    userAuth,
+    [
+      ...termChecks,
+      check('proposal', 'Proposal cannot be empty').optional().not().isEmpty()
+    ]
+  ],
+  bidController.updateBid
+);
+
+router.patch('/bids/:id/withdraw', userAuth, bidController.withdrawBid);
+
+router.post('/bids/:id/counter', [userAuth, termChecks], bidController.counterBid);
+
+router.patch('/bids/:id/counter/accept', userAuth, bidController.acceptCounterOffer);
+
+router.patch('/bids/:id/counter/decline', userAuth, bidController.declineCounterOffer);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const chatController = require('../controllers/chat.controller');
+const { userAuth } = require("../middleware/auth");
+const { uploadFiles } = require("../middleware/upload");
+
+router.get('/chats', userAuth, chatController.getChats);
+
+router.get('/chats/:id', userAuth, chatController.getChatById);
+
+router.get('/chats/:id/messages', userAuth, chatController.getChatMessages);
+
+router.post(
+  '/chats/:id/messages',
+  [
+    userAuth,
+    [
+      check('content', 'Message content is required').trim().not().isEmpty()
+    ]
+  ],
+  chatController.sendMessage
+);
+
+router.post(
+  '/chats/:id/messages/attachments',
+  userAuth,
+  chatController.requireChatParticipant,
+  uploadFiles('files'),
+  chatController.sendAttachmentMessage
+);
+
+router.get(
+  '/chats/:id/messages/:messageId/attachments/:attachmentId',
+  userAuth,
+  chatController.downloadAttachment
+);
+
+router.patch('/chats/:id/read', userAuth, chatController.markChatAsRead);
+
+module.exports = router;
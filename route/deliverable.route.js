@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const deliverableController = require('../controllers/deliverable.controller');
+const { userAuth } = require("../middleware/auth");
+const { uploadFiles } = require("../middleware/upload");
+
+router.post(
+  '/job/:id/deliverables',
+  userAuth,
+  deliverableController.requireHiredFreelancer,
+  uploadFiles('files'),
+  deliverableController.submitDeliverable
+);
+
+router.get('/job/:id/deliverables', userAuth, deliverableController.getDeliverables);
+
+router.patch('/job/:id/deliverables/:deliverableId/accept', userAuth, deliverableController.acceptDeliverable);
+
+router.patch(
+  '/job/:id/deliverables/:deliverableId/request-revision',
+  [
+    userAuth,
+    [
+      check('comments', 'Revision comments are required').trim().not().isEmpty()
+    ]
+  ],
+  deliverableController.requestRevision
+);
+
+router.get(
+  '/job/:id/deliverables/:deliverableId/files/:attachmentId',
+  userAuth,
+  deliverableController.downloadDeliverableFile
+);
+
+module.exports = router;
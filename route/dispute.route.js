@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const disputeController = require('../controllers/dispute.controller');
+const { userAuth } = require("../middleware/auth");
+const { uploadFiles } = require("../middleware/upload");
+
+router.post(
+  '/job/:id/disputes',
+  [
+    userAuth,
+    disputeController.requireJobParty,
+    uploadFiles('files'),
+    [
+      check('reason', 'A reason for the dispute is required').trim().not().isEmpty()
+    ]
+  ],
+  disputeController.openDispute
+);
+
+router.get('/disputes/me', userAuth, disputeController.getMyDisputes);
+
+router.get('/disputes/:id', userAuth, disputeController.getDisputeById);
+
+router.post(
+  '/disputes/:id/evidence',
+  userAuth,
+  disputeController.requireDisputeParty,
+  uploadFiles('files'),
+  disputeController.addEvidence
+);
+
+router.get(
+  '/disputes/:id/evidence/:evidenceId/files/:attachmentId',
+  userAuth,
+  disputeController.downloadEvidenceFile
+);
+
+module.exports = router;
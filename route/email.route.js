@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const emailController = require('../controllers/email.controller');
+const { userAuth } = require("../middleware/auth");
+
+// GET for the link in the email only confirms, the POST unsubscribes (also one-click from mail clients)
+router.get('/email/unsubscribe', emailController.confirmUnsubscribe);
+
+router.post('/email/unsubscribe', emailController.unsubscribe);
+
+router.get('/email/preferences', userAuth, emailController.getPreferences);
+
+router.put('/email/preferences', userAuth, emailController.updatePreferences);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const invitationController = require('../controllers/invitation.controller');
+const { userAuth } = require("../middleware/auth");
+
+router.post(
+  '/job/:id/invite',
+  [
+    userAuth,
+    [
+      check('freelancerIds', 'Freelancer IDs must be a non-empty array').isArray({ min: 1 }),
+      check('freelancerIds.*', 'Each freelancer ID must be valid').isMongoId(),
+      check('message', 'Message must be text').optional().isString()
+    ]
+  ],
+  invitationController.inviteFreelancers
+);
+
+router.get('/job/:id/invitations', userAuth, invitationController.getJobInvitations);
+
+router.get(
+  '/invitations',
+  [
+    userAuth,
+    [check('status', 'Status must be pending, accepted or declined').optional().isIn(['pending', 'accepted', 'declined'])]
+  ],
+  invitationController.getMyInvitations
+);
+
+router.patch('/invitations/:id/accept', userAuth, invitationController.acceptInvitation);
+
+router.patch('/invitations/:id/decline', userAuth, invitationController.declineInvitation);
+
+module.exports = router;
@@ -1,17 +1,22 @@
 const express = require("express");
-const { userAuth } = require("../middleware/auth");
+const { userAuth, requireVerifiedEmail } = require("../middleware/auth");
+const { limiters } = require("../middleware/rateLimit");
 const { 
   createJob, 
   getJobs, 
+  searchOpenJobs,
   getJobById, 
   updateJob, 
   deleteJob, 
   getMyJobs, 
   getAvailableJobs,
+  getRecommendedJobs,
+  getRecommendedFreelancers,
   applyForJob,
   getMyApplications,markJobAsCompleted
 } = require("../controllers/job.controller");
 const { check } = require('express-validator');
+const { jobSearchChecks } = require('../utils/jobSearch');
 
 const router = express.Router();
 
@@ -20,12 +25,15 @@ router.post(
     '/job/create',
     [
       userAuth,
+      requireVerifiedEmail,
       [
         check('title', 'Title is required').not().isEmpty(),
         check('description', 'Description is required').not().isEmpty(),
         check('budget', 'Budget is required and must be a number').isNumeric(),
         check('deadline', 'Deadline must be a number between 1 and 10').isInt({ min: 1, max: 10 }),
-        check('skillsRequired', 'Skills required must be an array').isArray()
+        check('skillsRequired', 'Skills required must be an array').isArray(),
+        check('revisionLimit', 'Revision limit must be a whole number between 0 and 10').optional().isInt({ min: 0, max: 10 }),
+        check('visibility', 'Visibility must be public or invite-only').optional().isIn(['public', 'invite-only'])
       ]
     ],
     createJob
@@ -33,16 +41,22 @@ router.post(
   
 
 
-router.get('/job/all', userAuth, getJobs);
+router.get('/job/all', userAuth, jobSearchChecks, getJobs);
+
+router.get('/job/search', userAuth, jobSearchChecks, searchOpenJobs);
 
 
 router.get('/jobs/open/apply', userAuth, getAvailableJobs);
 
+router.get('/jobs/recommended', userAuth, getRecommendedJobs);
+
 router.get('/job/posted/me', userAuth, getMyJobs);
 
 router.get('/job/applications/me', userAuth, getMyApplications);
 
 
+router.get('/job/:id/recommended-freelancers', userAuth, getRecommendedFreelancers);
+
 router.get('/job/:id', userAuth, getJobById);
 
 router.patch(
@@ -53,8 +67,9 @@ router.patch(
       check('title', 'Title is required').optional(),
       check('description', 'Description is required').optional(),
       check('budget', 'Budget must be a number').optional().isNumeric(),
-      check('deadline', 'Deadline must be a valid date').optional(),
-      check('skillsRequired', 'Skills required must be an array').optional().isArray()
+      check('deadline', 'Deadline must be a valid date').optional().isISO8601(),
+      check('skillsRequired', 'Skills required must be an array').optional().isArray(),
+      check('visibility', 'Visibility must be public or invite-only').optional().isIn(['public', 'invite-only'])
     ]
   ],
   updateJob
@@ -68,6 +83,8 @@ router.post(
   '/job/:id/apply',
   [
     userAuth,
+    requireVerifiedEmail,
+    limiters.applyForJob,
     [
       check('amount', 'Bid amount is required and must be a number').isNumeric(),
       check('deliveryTime', 'Delivery time is required and must be a number of days').isNumeric(),
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const milestoneController = require('../controllers/milestone.controller');
+const { userAuth } = require("../middleware/auth");
+
+router.get('/job/:id/milestones', userAuth, milestoneController.getMilestones);
+
+router.put('/job/:id/milestones', userAuth, milestoneController.setMilestones);
+
+router.patch('/job/:id/milestones/:milestoneId/fund', userAuth, milestoneController.fundMilestone);
+
+router.patch('/job/:id/milestones/:milestoneId/submit', userAuth, milestoneController.submitMilestone);
+
+router.patch('/job/:id/milestones/:milestoneId/approve', userAuth, milestoneController.approveMilestone);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification.controller');
+const { userAuth } = require("../middleware/auth");
+
+router.get('/notifications', userAuth, notificationController.getNotifications);
+
+router.get('/notifications/preferences', userAuth, notificationController.getPreferences);
+
+router.put('/notifications/preferences', userAuth, notificationController.updatePreferences);
+
+router.patch('/notifications/read-all', userAuth, notificationController.markAllAsRead);
+
+router.patch('/notifications/:id/read', userAuth, notificationController.markAsRead);
+
+module.exports = router;
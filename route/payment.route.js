@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/payment.controller');
+const { userAuth } = require("../middleware/auth");
+
+router.get('/payments/me', userAuth, paymentController.getMyPayments);
+
+router.get('/job/:jobId/payments', userAuth, paymentController.getPaymentsForJob);
+
+router.get('/payments/:id', userAuth, paymentController.getPaymentById);
+
+router.patch('/payments/:id/release', userAuth, paymentController.releasePayment);
+
+router.patch('/payments/:id/refund', userAuth, paymentController.refundPayment);
+
+module.exports = router;
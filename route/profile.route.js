@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const profileController = require('../controllers/profile.controller');
+const { userAuth, requireFreelancer } = require("../middleware/auth");
+
+// Public, no login needed
+router.get('/freelancers/:id/profile', profileController.getFreelancerProfile);
+
+router.use('/user/portfolio', userAuth, requireFreelancer);
+
+const portfolioChecks = (title) => [
+  title,
+  check('description', 'Description must be at most 2000 characters').optional().isString().isLength({ max: 2000 }),
+  check('link', 'Link must be a valid URL').optional({ checkFalsy: true }).isURL(),
+  check('images', 'Images must be an array of at most 5 URLs').optional().isArray({ max: 5 }),
+  check('images.*', 'Each image must be a valid URL').isURL()
+];
+
+router.get('/user/portfolio', profileController.getPortfolio);
+
+router.post(
+  '/user/portfolio',
+  portfolioChecks(check('title', 'Title is required').trim().notEmpty()),
+  profileController.addPortfolioItem
+);
+
+router.patch(
+  '/user/portfolio/:itemId',
+  portfolioChecks(check('title', 'Title cannot be empty').optional().trim().notEmpty()),
+  profileController.updatePortfolioItem
+);
+
+router.delete('/user/portfolio/:itemId', profileController.deletePortfolioItem);
+
+module.exports = router;
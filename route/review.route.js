@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const reviewController = require('../controllers/review.controller');
+const { userAuth } = require("../middleware/auth");
+
+router.post(
+  '/job/:id/reviews',
+  [
+    userAuth,
+    [
+      check('rating', 'Rating must be a whole number between 1 and 5').isInt({ min: 1, max: 5 }),
+      check('comment', 'Review comment is required').not().isEmpty()
+    ]
+  ],
+  reviewController.createReview
+);
+
+router.get('/job/:id/reviews', userAuth, reviewController.getJobReviews);
+
+router.get('/user/:userId/reviews', userAuth, reviewController.getUserReviews);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const savedController = require('../controllers/saved.controller');
+const { userAuth, requireFreelancer } = require("../middleware/auth");
+
+// Saved jobs and searches belong to freelancers
+router.use(['/saved-jobs', '/saved-searches'], userAuth, requireFreelancer);
+
+const filterChecks = [
+  check('keyword', 'Keyword must be text').optional().isString(),
+  check('minBudget', 'Minimum budget must be a positive number').optional({ nullable: true }).isFloat({ min: 0 }),
+  check('maxBudget', 'Maximum budget must be a positive number').optional({ nullable: true }).isFloat({ min: 0 }),
+  check('skills', 'Skills must be an array').optional().isArray(),
+  check('alertsEnabled', 'alertsEnabled must be true or false').optional().isBoolean({ strict: true })
+];
+
+router.get('/saved-jobs', savedController.getSavedJobs);
+
+router.put('/saved-jobs/:jobId', savedController.saveJob);
+
+router.delete('/saved-jobs/:jobId', savedController.unsaveJob);
+
+router.get('/saved-searches', savedController.getSavedSearches);
+
+router.post(
+  '/saved-searches',
+  [check('name', 'Name is required').trim().notEmpty(), ...filterChecks],
+  savedController.createSavedSearch
+);
+
+router.put(
+  '/saved-searches/:id',
+  [check('name', 'Name cannot be empty').optional().trim().notEmpty(), ...filterChecks],
+  savedController.updateSavedSearch
+);
+
+router.delete('/saved-searches/:id', savedController.deleteSavedSearch);
+
+router.get('/saved-searches/:id/new-matches', savedController.getNewMatches);
+
+module.exports = router;
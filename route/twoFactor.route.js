@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const twoFactorController = require('../controllers/twoFactor.controller');
+const { userAuth } = require("../middleware/auth");
+
+const codeCheck = check('code', 'A 6-digit authentication code is required').trim().matches(/^\d{6}$/);
+
+router.get('/user/2fa', userAuth, twoFactorController.getStatus);
+
+router.post('/user/2fa/setup', userAuth, twoFactorController.setup);
+
+router.post('/user/2fa/enable', userAuth, [codeCheck], twoFactorController.enable);
+
+router.post(
+  '/user/2fa/disable',
+  userAuth,
+  [check('password', 'Password is required').not().isEmpty()],
+  twoFactorController.disable
+);
+
+router.post('/user/2fa/recovery-codes', userAuth, [codeCheck], twoFactorController.regenerateRecoveryCodes);
+
+module.exports = router;
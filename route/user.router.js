@@ -1,13 +1,54 @@
 const express = require("express");
-const { register, login, logout,getCurrentUser, checkToken, updateProfile } = require('../controllers/user.controller');
+const { check } = require('express-validator');
+const {
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  getCurrentUser,
+  checkToken,
+  updateProfile,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword
+} = require('../controllers/user.controller');
 const { userAuth } = require("../middleware/auth");
+const { limiters } = require("../middleware/rateLimit");
 
 const router=express.Router();
 
-router.post('/user/register',register);
-router.post('/user/login',login)
-router.get('/user/logout',userAuth,logout)
+const newPasswordCheck = (field) =>
+  check(field, 'Password must be at least 8 characters long').isLength({ min: 8 });
+
+router.post('/user/register',limiters.register,register);
+router.post('/user/login',limiters.login,login)
+router.post('/user/login/2fa',limiters.twoFactorLogin,loginTwoFactor)
+router.post('/user/refresh',refresh)
+router.get('/user/logout',logout)
 router.get('/user/profile',userAuth,getCurrentUser)
 router.get('/check-user',checkToken)
 router.patch('/user/profile',userAuth,updateProfile)
-module.exports=router
\ No newline at end of file
+router.get('/user/sessions',userAuth,getSessions)
+router.delete('/user/sessions',userAuth,revokeAllSessions)
+router.delete('/user/sessions/:id',userAuth,revokeSession)
+router.post('/user/verify-email',verifyEmail)
+router.post('/user/verify-email/resend',userAuth,resendVerification)
+router.post('/user/forgot-password',limiters.passwordReset,[check('email', 'A valid email is required').trim().isEmail().toLowerCase()],forgotPassword)
+router.post(
+  '/user/reset-password',
+  [check('token', 'Reset token is required').not().isEmpty(), newPasswordCheck('password')],
+  resetPassword
+)
+router.patch(
+  '/user/password',
+  userAuth,
+  [check('currentPassword', 'Current password is required').not().isEmpty(), newPasswordCheck('newPassword')],
+  changePassword
+)
+module.exports=router
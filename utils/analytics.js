@@ -0,0 +1,178 @@
+const Job = require('../models/job.model');
+const Payment = require('../models/payment.model');
+
+const GROUP_BY_UNITS = ['day', 'week', 'month', 'year'];
+
+const round = (value, digits = 2) =>
+  value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const truncate = (date, { groupBy, timezone }) => ({
+  $dateTrunc: { date, unit: groupBy, timezone, startOfWeek: 'monday' }
+});
+
+// Money released to freelancers per period. Split payments count the part released;
+// payments from before escrow have no releasedAt and count at creation.
+const spendByPeriod = (posterId, { from, to, groupBy, timezone }) =>
+  Payment.aggregate([
+    { $match: { from: posterId, status: { $in: ['completed', 'split'] } } },
+    { $addFields: { paidAt: { $ifNull: ['$releasedAt', '$createdAt'] } } },
+    { $match: { paidAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: truncate('$paidAt', { groupBy, timezone }),
+        spent: { $sum: { $ifNull: ['$releasedAmount', '$amount'] } },
+        payments: { $sum: 1 },
+        jobs: { $addToSet: '$job' }
+      }
+    },
+    { $project: { spent: 1, payments: 1, jobsPaid: { $size: '$jobs' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+// Hiring metrics accumulated over a group of the poster's jobs
+const jobMetrics = (id) => ({
+  $group: {
+    _id: id,
+    jobsPosted: { $sum: 1 },
+    bidsReceived: { $sum: '$bidCount' },
+    averageBidsPerJob: { $avg: '$bidCount' },
+    hired: { $sum: { $cond: [{ $ifNull: ['$selectedBid', false] }, 1, 0] } },
+    averageHoursToAccept: { $avg: '$hoursToAccept' },
+    averagePriceToBudget: { $avg: '$priceToBudget' },
+    completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+    canceled: { $sum: { $cond: [{ $eq: ['$status', 'canceled'] }, 1, 0] } },
+    expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } }
+  }
+});
+
+// Bids, hiring speed and outcomes of the jobs posted in the range, overall and per period
+const jobsByPeriod = async (posterId, { from, to, groupBy, timezone }) => {
+  const [outcome] = await Job.aggregate([
+    { $match: { jobPoster: posterId, createdAt: { $gte: from, $lt: to } } },
+    {
+      $lookup: {
+        from: 'bids',
+        let: { jobId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$job', '$$jobId'] }, hiddenAt: null } },
+          { $project: { amount: 1, negotiation: 1, updatedAt: 1 } }
+        ],
+        as: 'bids'
+      }
+    },
+    {
+      $addFields: {
+        bidCount: { $size: '$bids' },
+        acceptedBid: { $first: { $filter: { input: '$bids', cond: { $eq: ['$$this._id', '$selectedBid'] } } } }
+      }
+    },
+    {
+      // Bids accepted before negotiation history existed fall back to their last update
+      $addFields: {
+        acceptedAt: {
+          $ifNull: [
+            {
+              $first: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: { $ifNull: ['$acceptedBid.negotiation', []] },
+                      cond: { $eq: ['$$this.action', 'accepted'] }
+                    }
+                  },
+                  in: '$$this.at'
+                }
+              }
+            },
+            '$acceptedBid.updatedAt'
+          ]
+        }
+      }
+    },
+    {
+      $addFields: {
+        hoursToAccept: {
+          $cond: [{ $ifNull: ['$acceptedAt', false] }, { $divide: [{ $subtract: ['$acceptedAt', '$createdAt'] }, 3600000] }, null]
+        },
+        priceToBudget: {
+          $cond: [
+            { $and: [{ $ifNull: ['$acceptedBid', false] }, { $gt: ['$budget', 0] }] },
+            { $divide: ['$acceptedBid.amount', '$budget'] },
+            null
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        summary: [jobMetrics(null)],
+        byPeriod: [jobMetrics(truncate('$createdAt', { groupBy, timezone })), { $sort: { _id: 1 } }]
+      }
+    }
+  ]);
+
+  return outcome;
+};
+
+// Rates are over the jobs that reached an outcome, so open work doesn't count against them
+const formatJobMetrics = (metrics = {}) => {
+  const jobsPosted = metrics.jobsPosted || 0;
+  const closed = (metrics.completed || 0) + (metrics.canceled || 0) + (metrics.expired || 0);
+
+  return {
+    jobsPosted,
+    bidsReceived: metrics.bidsReceived || 0,
+    averageBidsPerJob: round(metrics.averageBidsPerJob ?? null),
+    hired: metrics.hired || 0,
+    averageHoursToAccept: round(metrics.averageHoursToAccept ?? null, 1),
+    averagePriceToBudget: round(metrics.averagePriceToBudget ?? null),
+    completed: metrics.completed || 0,
+    canceled: metrics.canceled || 0,
+    expired: metrics.expired || 0,
+    completionRate: closed > 0 ? round(metrics.completed / closed) : null,
+    cancellationRate: closed > 0 ? round(metrics.canceled / closed) : null
+  };
+};
+
+// Spend and hiring analytics of a job poster between `from` and `to`, grouped by `groupBy`
+const posterAnalytics = async (posterId, options) => {
+  const [spend, jobs, escrow] = await Promise.all([
+    spendByPeriod(posterId, options),
+    jobsByPeriod(posterId, options),
+    Payment.aggregate([
+      { $match: { from: posterId, status: { $in: ['pending', 'disputed'] } } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const periods = new Map();
+  const periodEntry = (date) => {
+    const key = date.toISOString();
+    if (!periods.has(key)) {
+      periods.set(key, { period: date, spent: 0, payments: 0, jobsPaid: 0, ...formatJobMetrics() });
+    }
+    return periods.get(key);
+  };
+
+  for (const { _id, spent, payments, jobsPaid } of spend) {
+    Object.assign(periodEntry(_id), { spent: round(spent), payments, jobsPaid });
+  }
+  for (const { _id, ...metrics } of jobs.byPeriod) {
+    Object.assign(periodEntry(_id), formatJobMetrics(metrics));
+  }
+
+  return {
+    from: options.from,
+    to: options.to,
+    groupBy: options.groupBy,
+    timezone: options.timezone,
+    summary: {
+      spent: round(spend.reduce((sum, period) => sum + period.spent, 0)),
+      inEscrow: round(escrow[0]?.amount || 0),
+      ...formatJobMetrics(jobs.summary[0])
+    },
+    byPeriod: [...periods.values()].sort((a, b) => a.period - b.period)
+  };
+};
+
+module.exports = { GROUP_BY_UNITS, posterAnalytics };
@@ -0,0 +1,14 @@
+const AuditLog = require('../models/auditLog.model');
+
+// Record a moderation action, `target` is the moderated document
+const recordAction = (adminId, action, targetType, target, { reason = '', details = {} } = {}) =>
+  AuditLog.create({
+    admin: adminId,
+    action,
+    targetType,
+    target: target._id || target,
+    reason,
+    details
+  });
+
+module.exports = { recordAction };
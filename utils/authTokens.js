@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/authToken.model');
+const User = require('../models/user.model');
+const { hashToken } = require('./sessions');
+
+// How long each kind of emailed token stays valid
+const TOKEN_TTL_MINUTES = {
+  'verify-email': Number(process.env.EMAIL_VERIFICATION_MINUTES) || 24 * 60,
+  'reset-password': Number(process.env.PASSWORD_RESET_MINUTES) || 60
+};
+
+// Issue a new token for `purpose`, voiding any earlier unused one. Returns the raw token,
+// which is only ever sent to the user.
+const createAuthToken = async (userId, purpose) => {
+  await AuthToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60000)
+  });
+
+  return token;
+};
+
+// Mark a valid token as used and return it, null when it is unknown, used or expired.
+// The update is atomic so a token can't be redeemed twice.
+const consumeAuthToken = (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Accounts created before email verification existed have no emailVerified field at all.
+// They keep working as before instead of being locked out of posting and bidding.
+const verifyExistingAccounts = () =>
+  User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: null } }
+  );
+
+module.exports = { TOKEN_TTL_MINUTES, createAuthToken, consumeAuthToken, verifyExistingAccounts };
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/chat.model');
+const Message = require('../models/message.model');
+const { clampLimit } = require('./query');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Move messages still embedded in an old chat document into the Message collection.
+// Chats without embedded messages cost nothing. The rest are copied first, keyed on each
+// legacy message's _id so repeated or concurrent runs never duplicate one, and the
+// embedded array is only cleared once every message is safely copied.
+const migrateLegacyMessages = async (chat) => {
+  if (!chat.messages || chat.messages.length === 0) return;
+
+  await Message.bulkWrite(chat.messages.map(message => ({
+    updateOne: {
+      filter: { _id: message._id },
+      update: {
+        $setOnInsert: {
+          chat: chat._id,
+          sender: message.sender,
+          content: message.content,
+          timestamp: message.timestamp,
+          deliveredAt: message.read ? message.timestamp : null,
+          readAt: message.read ? message.timestamp : null
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  // Nothing is appended to the embedded array anymore, so its last message is final
+  const last = chat.messages[chat.messages.length - 1];
+  await Chat.updateOne(
+    { _id: chat._id, 'messages.0': { $exists: true } },
+    {
+      $set: {
+        messages: [],
+        lastMessage: { sender: last.sender, content: last.content, timestamp: last.timestamp }
+      }
+    }
+  );
+  chat.messages = [];
+};
+
+// Migrate every chat still holding embedded messages, run once at startup so
+// requests rarely find any left
+const migrateAllLegacyMessages = async () => {
+  const chats = await Chat.find({ 'messages.0': { $exists: true } });
+  for (const chat of chats) {
+    await migrateLegacyMessages(chat);
+  }
+  return chats.length;
+};
+
+// Pass `delivered` when the recipient is known to be connected right now
+const addMessage = async (chat, { sender, content = '', attachments = [], delivered = false }) => {
+  await migrateLegacyMessages(chat);
+
+  const message = await Message.create({
+    chat: chat._id,
+    sender,
+    content,
+    attachments,
+    deliveredAt: delivered ? new Date() : null
+  });
+
+  await Chat.updateOne(
+    { _id: chat._id },
+    {
+      $set: {
+        lastMessage: {
+          _id: message._id,
+          sender: message.sender,
+          content: message.content,
+          attachmentCount: message.attachments.length,
+          timestamp: message.timestamp
+        },
+        lastActivity: message.timestamp
+      }
+    }
+  );
+
+  return message;
+};
+
+// One page of messages, oldest first. `before` is the _id of the oldest message already loaded.
+const getMessages = async (chat, { before, limit } = {}) => {
+  await migrateLegacyMessages(chat);
+
+  const pageSize = clampLimit(limit, { defaultLimit: DEFAULT_PAGE_SIZE, maxLimit: MAX_PAGE_SIZE });
+
+  const filter = { chat: chat._id };
+  if (before) {
+    filter._id = { $lt: before };
+  }
+
+  // Fetch one extra to know whether older messages remain
+  const page = await Message.find(filter)
+    .sort({ _id: -1 })
+    .limit(pageSize + 1)
+    .populate('sender', 'fullName profileImage');
+
+  const hasMore = page.length > pageSize;
+  const messages = page.slice(0, pageSize).reverse();
+
+  return {
+    messages,
+    hasMore,
+    nextCursor: hasMore ? messages[0]._id : null
+  };
+};
+
+// Mark every message the user received in a chat as read, returns { count, readAt }
+const markChatRead = async (chat, userId) => {
+  await migrateLegacyMessages(chat);
+
+  const readAt = new Date();
+  const filter = { chat: chat._id, sender: { $ne: userId }, readAt: null };
+
+  // A message that was read was necessarily delivered
+  await Message.updateMany({ ...filter, deliveredAt: null }, { $set: { deliveredAt: readAt } });
+  const result = await Message.updateMany(filter, { $set: { readAt } });
+
+  return { count: result.modifiedCount, readAt };
+};
+
+// Mark messages the user received in the given chats as delivered.
+// Returns the ids of chats that changed so their senders can be told.
+const markDelivered = async (chatIds, userId) => {
+  const filter = {
+    chat: { $in: chatIds.map(id => new mongoose.Types.ObjectId(id)) },
+    sender: { $ne: new mongoose.Types.ObjectId(userId) },
+    deliveredAt: null
+  };
+
+  const changedChats = await Message.distinct('chat', filter);
+  if (changedChats.length === 0) {
+    return { chatIds: [], deliveredAt: null };
+  }
+
+  const deliveredAt = new Date();
+  await Message.updateMany(filter, { $set: { deliveredAt } });
+
+  return { chatIds: changedChats, deliveredAt };
+};
+
+// Unread message counts for the given chats, keyed by chat id
+const unreadCounts = async (chatIds, userId) => {
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        chat: { $in: chatIds.map(id => new mongoose.Types.ObjectId(id)) },
+        sender: { $ne: new mongoose.Types.ObjectId(userId) },
+        readAt: null
+      }
+    },
+    { $group: { _id: '$chat', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+module.exports = {
+  migrateLegacyMessages,
+  migrateAllLegacyMessages,
+  addMessage,
+  getMessages,
+  markChatRead,
+  markDelivered,
+  unreadCounts
+};
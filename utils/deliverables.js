@@ -0,0 +1,72 @@
+const Deliverable = require('../models/deliverable.model');
+const Job = require('../models/job.model');
+const { completeJob } = require('./jobCompletion');
+
+const AUTO_ACCEPT_DAYS = Number(process.env.DELIVERY_AUTO_ACCEPT_DAYS) || 3;
+
+const autoAcceptDate = (from = new Date()) =>
+  new Date(from.getTime() + AUTO_ACCEPT_DAYS * 24 * 3600000);
+
+// Accept a delivery and complete its job, releasing the payment. Returns null when
+// another request answered the delivery or moved the payment first.
+const acceptDeliverable = async (deliverable, job, userId, { automatic = false } = {}) => {
+  const response = { status: 'accepted', autoAccepted: automatic, respondedAt: new Date() };
+
+  // Claim the delivery so a double click or the scheduler can't accept it twice
+  const claimed = await Deliverable.findOneAndUpdate(
+    { _id: deliverable._id, status: 'submitted' },
+    response,
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  // Leave the delivery awaiting a response again when the job couldn't be completed
+  const rollback = () => Deliverable.updateOne(
+    { _id: deliverable._id, status: 'accepted' },
+    { status: 'submitted', autoAccepted: false, respondedAt: null }
+  );
+
+  let payment;
+  try {
+    payment = await completeJob(
+      job,
+      userId,
+      automatic ? 'Delivery accepted automatically' : 'Delivery accepted'
+    );
+  } catch (error) {
+    // Once the job is completed the acceptance stands, whatever failed afterwards
+    if (job.status !== 'completed') await rollback();
+    throw error;
+  }
+
+  if (!payment) {
+    await rollback();
+    return null;
+  }
+
+  deliverable.set(response);
+  return payment;
+};
+
+// Accept deliveries the poster hasn't answered in time, returns how many were accepted
+const autoAcceptDueDeliverables = async () => {
+  const due = await Deliverable.find({ status: 'submitted', autoAcceptAt: { $lte: new Date() } });
+
+  let accepted = 0;
+  for (const deliverable of due) {
+    try {
+      const job = await Job.findById(deliverable.job);
+      if (!job || job.status !== 'in-progress') continue;
+
+      if (await acceptDeliverable(deliverable, job, null, { automatic: true })) {
+        accepted += 1;
+      }
+    } catch (error) {
+      console.error(`Auto-accept of deliverable ${deliverable._id} failed:`, error);
+    }
+  }
+
+  return accepted;
+};
+
+module.exports = { AUTO_ACCEPT_DAYS, autoAcceptDate, acceptDeliverable, autoAcceptDueDeliverables };
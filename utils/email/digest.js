@@ -0,0 +1,56 @@
+const User = require('../../models/user.model');
+const Job = require('../../models/job.model');
+const { buildJobFilter } = require('../jobSearch');
+const { sendEmail } = require('./index');
+const { escapeRegex } = require('../query');
+
+const DIGEST_INTERVAL = 24 * 3600000;
+const DIGEST_MAX_JOBS = 20;
+
+// Email every freelancer whose last digest is a day old the open jobs posted since then
+// that need one of their skills. Returns how many digests were sent.
+const sendDueDigests = async (now = new Date()) => {
+  const dueBefore = new Date(now.getTime() - DIGEST_INTERVAL);
+
+  const freelancers = await User.find({
+    userType: 'freelancer',
+    accountStatus: { $ne: 'banned' },
+    'emailPreferences.digest': { $ne: false },
+    'skills.0': { $exists: true },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: dueBefore } }]
+  });
+
+  let sent = 0;
+  for (const freelancer of freelancers) {
+    try {
+      const since = freelancer.lastDigestAt || dueBefore;
+      const skills = freelancer.skills
+        .map(skill => skill.trim())
+        .filter(Boolean)
+        .map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i'));
+
+      const jobs = await Job.find({
+        ...buildJobFilter(),
+        createdAt: { $gt: since },
+        skillsRequired: { $in: skills },
+        jobPoster: { $ne: freelancer._id }
+      })
+        .select('title budget skillsRequired')
+        .sort({ createdAt: -1 })
+        .limit(DIGEST_MAX_JOBS);
+
+      if (jobs.length > 0 && await sendEmail(freelancer, 'jobDigest', { jobs })) {
+        sent += 1;
+      }
+
+      // The next digest covers jobs posted from now on, even when nothing matched
+      await User.updateOne({ _id: freelancer._id }, { lastDigestAt: now });
+    } catch (error) {
+      console.error(`Job digest for ${freelancer._id} failed:`, error);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = { sendDueDigests };
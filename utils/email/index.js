@@ -0,0 +1,119 @@
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/user.model');
+const templates = require('./templates');
+const {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+} = require('./transports');
+
+// Pick one with EMAIL_TRANSPORT. The console transport is the default outside production;
+// production must choose one so email bodies and their links never end up in the logs.
+const drivers = {
+  smtp: createSmtpTransport,
+  file: () => createFileTransport({
+    dir: process.env.EMAIL_DIR || path.join(__dirname, '..', '..', 'emails')
+  }),
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    if (!process.env.EMAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('EMAIL_TRANSPORT must be set in production');
+    }
+    const driver = process.env.EMAIL_TRANSPORT || 'console';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown email transport "${driver}"`);
+    }
+    transport = drivers[driver]();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for tests
+const setTransport = (backend) => {
+  transport = backend;
+};
+
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const UNSUBSCRIBE_AUDIENCE = 'email-unsubscribe';
+const UNSUBSCRIBE_LINK_DAYS = Number(process.env.UNSUBSCRIBE_LINK_DAYS) || 90;
+
+// Kept apart from session tokens so a leaked link can never be replayed as a login
+const emailTokenSecret = () => process.env.EMAIL_TOKEN_SECRET || `${process.env.JWT_SECRET}:email`;
+
+// Signed link that turns off one email category without logging in
+const unsubscribeUrl = (userId, category) => {
+  const token = jwt.sign({ category }, emailTokenSecret(), {
+    subject: userId.toString(),
+    audience: UNSUBSCRIBE_AUDIENCE,
+    expiresIn: `${UNSUBSCRIBE_LINK_DAYS}d`
+  });
+  return `${apiUrl()}/email/unsubscribe?token=${token}`;
+};
+
+// Returns { userId, category } for a valid unsubscribe token, null otherwise
+const verifyUnsubscribeToken = (token) => {
+  try {
+    const { sub, category } = jwt.verify(token, emailTokenSecret(), { audience: UNSUBSCRIBE_AUDIENCE });
+    return { userId: sub, category };
+  } catch {
+    return null;
+  }
+};
+
+// Render a template and send it to a user, unless they unsubscribed from its category.
+// Never throws: a failed email must not fail the action that caused it.
+const sendEmail = async (userOrId, templateName, data = {}) => {
+  try {
+    const template = templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown email template "${templateName}"`);
+    }
+
+    const user = userOrId.email ? userOrId : await User.findById(userOrId);
+    if (!user) return false;
+
+    const { category } = template;
+    if (category && user.emailPreferences?.[category] === false) {
+      return false;
+    }
+
+    const unsubscribe = category ? unsubscribeUrl(user._id, category) : null;
+    const { subject, text, html } = template.render({
+      user,
+      data,
+      clientUrl: process.env.CLIENT_URL || 'http://localhost:5173',
+      unsubscribeUrl: unsubscribe
+    });
+
+    await getTransport().send({
+      from: process.env.EMAIL_FROM || 'FreelanceHub <no-reply@freelancehub.local>',
+      to: user.email,
+      subject,
+      text,
+      html,
+      headers: unsubscribe
+        ? { 'List-Unsubscribe': `<${unsubscribe}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        : {}
+    });
+    return true;
+  } catch (error) {
+    console.error(`Email ${templateName} error:`, error);
+    return false;
+  }
+};
+
+module.exports = {
+  EMAIL_CATEGORIES: templates.CATEGORIES,
+  getTransport,
+  setTransport,
+  sendEmail,
+  unsubscribeUrl,
+  verifyUnsubscribeToken
+};
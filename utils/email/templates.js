@@ -0,0 +1,190 @@
+// Email templates. Each has a `category` users can unsubscribe from (none for
+// account emails) and render({ user, data, clientUrl, unsubscribeUrl }) -> { subject, text, html }.
+
+const CATEGORIES = ['bids', 'jobs', 'payments', 'digest'];
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Wrap paragraphs and an optional call to action in the shared text and HTML layout
+const layout = ({ user, paragraphs, action, unsubscribeUrl }) => {
+  const footer = unsubscribeUrl
+    ? `You can stop these emails at any time: ${unsubscribeUrl}`
+    : '';
+
+  const text = [
+    `Hi ${user.fullName},`,
+    ...paragraphs,
+    action ? `${action.label}: ${action.url}` : null,
+    'The FreelanceHub team',
+    footer || null
+  ].filter(Boolean).join('\n\n');
+
+  const html = [
+    `<p>Hi ${escapeHtml(user.fullName)},</p>`,
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    action ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>` : '',
+    '<p>The FreelanceHub team</p>',
+    footer
+      ? `<p style="font-size:12px;color:#888"><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a> from these emails</p>`
+      : ''
+  ].join('\n');
+
+  return { text, html };
+};
+
+const jobAction = (clientUrl, data, label = 'View the job') => ({
+  label,
+  url: `${clientUrl}/jobs/${data.jobId}`
+});
+
+module.exports = {
+  CATEGORIES,
+
+  welcome: {
+    category: null,
+    render: ({ user, clientUrl }) => ({
+      subject: 'Your FreelanceHub email is confirmed',
+      ...layout({
+        user,
+        paragraphs: [
+          user.userType === 'freelancer'
+            ? 'Your freelancer account is ready. Add your skills to your profile to get matching jobs.'
+            : 'Your account is ready. Post your first job to start receiving bids.'
+        ],
+        action: { label: 'Go to FreelanceHub', url: clientUrl }
+      })
+    })
+  },
+
+  verifyEmail: {
+    category: null,
+    render: ({ user, data, clientUrl }) => ({
+      subject: 'Confirm your FreelanceHub email',
+      ...layout({
+        user,
+        paragraphs: [
+          'Welcome to FreelanceHub! Please confirm your email address to start posting jobs or bidding.',
+          `The link is valid for ${data.validHours} hours.`
+        ],
+        action: { label: 'Confirm your email', url: `${clientUrl}/verify-email?token=${data.token}` }
+      })
+    })
+  },
+
+  resetPassword: {
+    category: null,
+    render: ({ user, data, clientUrl }) => ({
+      subject: 'Reset your FreelanceHub password',
+      ...layout({
+        user,
+        paragraphs: [
+          `Someone asked to reset the password of your account. The link is valid for ${data.validMinutes} minutes and works once.`,
+          'If it wasn\'t you, you can ignore this email.'
+        ],
+        action: { label: 'Choose a new password', url: `${clientUrl}/reset-password?token=${data.token}` }
+      })
+    })
+  },
+
+  passwordChanged: {
+    category: null,
+    render: ({ user, clientUrl }) => ({
+      subject: 'Your FreelanceHub password was changed',
+      ...layout({
+        user,
+        paragraphs: [
+          'The password of your account was just changed and every device was signed out.',
+          'If you didn\'t do this, reset your password right away.'
+        ],
+        action: { label: 'Reset your password', url: `${clientUrl}/forgot-password` }
+      })
+    })
+  },
+
+  bidAccepted: {
+    category: 'bids',
+    render: ({ user, data, clientUrl, unsubscribeUrl }) => ({
+      subject: `Your bid on "${data.jobTitle}" was accepted`,
+      ...layout({
+        user,
+        paragraphs: [`Good news: the client accepted your bid on "${data.jobTitle}". You can start working now.`],
+        action: jobAction(clientUrl, data),
+        unsubscribeUrl
+      })
+    })
+  },
+
+  bidRejected: {
+    category: 'bids',
+    render: ({ user, data, clientUrl, unsubscribeUrl }) => ({
+      subject: `Update on your bid for "${data.jobTitle}"`,
+      ...layout({
+        user,
+        paragraphs: [`Your bid on "${data.jobTitle}" was not selected this time.`],
+        action: { label: 'Find more jobs', url: `${clientUrl}/jobs` },
+        unsubscribeUrl
+      })
+    })
+  },
+
+  jobCompleted: {
+    category: 'jobs',
+    render: ({ user, data, clientUrl, unsubscribeUrl }) => ({
+      subject: `"${data.jobTitle}" is completed`,
+      ...layout({
+        user,
+        paragraphs: [`The job "${data.jobTitle}" has been marked as completed. Don't forget to leave a review.`],
+        action: jobAction(clientUrl, data, 'Leave a review'),
+        unsubscribeUrl
+      })
+    })
+  },
+
+  dueDateReminder: {
+    category: 'jobs',
+    render: ({ user, data, clientUrl, unsubscribeUrl }) => ({
+      subject: `${data.what} for "${data.jobTitle}" is due soon`,
+      ...layout({
+        user,
+        paragraphs: [`${data.what} for "${data.jobTitle}" is due on ${new Date(data.dueAt).toUTCString()}.`],
+        action: jobAction(clientUrl, data),
+        unsubscribeUrl
+      })
+    })
+  },
+
+  paymentSent: {
+    category: 'payments',
+    render: ({ user, data, clientUrl, unsubscribeUrl }) => ({
+      subject: `You've been paid ${data.amount} for "${data.jobTitle}"`,
+      ...layout({
+        user,
+        paragraphs: [`A payment of ${data.amount} for "${data.jobTitle}" has been released to you.`],
+        action: { label: 'View your payments', url: `${clientUrl}/payments` },
+        unsubscribeUrl
+      })
+    })
+  },
+
+  jobDigest: {
+    category: 'digest',
+    render: ({ user, data, clientUrl, unsubscribeUrl }) => ({
+      subject: `${data.jobs.length} new job${data.jobs.length === 1 ? '' : 's'} matching your skills`,
+      ...layout({
+        user,
+        paragraphs: [
+          'These jobs were posted since your last digest:',
+          ...data.jobs.map(job =>
+            `${job.title} (budget ${job.budget}, ${job.skillsRequired.join(', ')}): ${clientUrl}/jobs/${job._id}`
+          )
+        ],
+        action: { label: 'Browse all jobs', url: `${clientUrl}/jobs` },
+        unsubscribeUrl
+      })
+    })
+  }
+};
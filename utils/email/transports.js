@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Every transport implements send({ from, to, subject, text, html, headers })
+
+// Delivers through an SMTP server, configured with SMTP_* variables
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Writes each email as a JSON file under `dir`, for development and tests
+const createFileTransport = ({ dir }) => ({
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filename = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+    return { filename };
+  }
+});
+
+// Logs emails instead of sending them
+const createConsoleTransport = () => ({
+  async send(message) {
+    console.log(`[email] to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+module.exports = { createSmtpTransport, createFileTransport, createConsoleTransport };
@@ -0,0 +1,138 @@
+const Payment = require('../models/payment.model');
+const User = require('../models/user.model');
+const Job = require('../models/job.model');
+const { sendEmail } = require('./email');
+
+// Hold the accepted bid amount in escrow until the job is completed or canceled
+// Pass a milestone to hold only that milestone's amount
+const holdFunds = async (job, bid, userId, milestone = null) => {
+  const payment = await Payment.create({
+    job: job._id,
+    bid: bid._id,
+    milestone: milestone ? milestone._id : null,
+    amount: milestone ? (milestone.agreedAmount ?? milestone.amount) : bid.amount,
+    from: job.jobPoster,
+    to: bid.freelancer,
+    status: 'pending',
+    history: [{ status: 'pending', action: 'held', by: userId }]
+  });
+
+  return payment;
+};
+
+// Email the freelancer that money was paid out to them
+const emailPaymentSent = async (payment, amount) => {
+  const job = await Job.findById(payment.job).select('title');
+  await sendEmail(payment.to, 'paymentSent', {
+    jobId: payment.job,
+    jobTitle: job ? job.title : 'your job',
+    amount
+  });
+};
+
+// Funds still in escrow: held normally or frozen by a dispute
+const HELD_STATUSES = ['pending', 'disputed'];
+
+// Payments release, refund and split may move. Frozen funds only leave escrow through
+// a dispute resolution, which passes `resolvingDispute`; everyone else sees null.
+const sourceStatuses = ({ resolvingDispute = false } = {}) =>
+  (resolvingDispute ? ['disputed'] : ['pending']);
+
+// Move the payment out of one of `fromStatuses` in a single conditional update, so two
+// concurrent calls (a double click, release racing refund, a manual accept racing the
+// scheduler) can't both move the same money. Resolves to null when another call won.
+const claimPayment = (payment, fromStatuses, update, entry) =>
+  Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: fromStatuses } },
+    { $set: update, $push: { history: entry } },
+    { new: true }
+  );
+
+// Release held funds to the freelancer and update both users' money totals.
+// Returns the released payment, or null when it was already moved.
+const releaseFunds = async (payment, userId, note = '', options = {}) => {
+  if (!HELD_STATUSES.includes(payment.status)) {
+    throw new Error(`Cannot release a payment that is ${payment.status}`);
+  }
+
+  const released = await claimPayment(
+    payment,
+    sourceStatuses(options),
+    { status: 'completed', releasedAt: new Date() },
+    { status: 'completed', action: 'released', by: userId, note }
+  );
+  if (!released) return null;
+
+  await User.findByIdAndUpdate(released.to, { $inc: { moneyEarned: released.amount } });
+  await User.findByIdAndUpdate(released.from, { $inc: { moneySpent: released.amount } });
+
+  await emailPaymentSent(released, released.amount);
+
+  return released;
+};
+
+// Return held funds to the job poster, null when the payment was already moved
+const refundFunds = async (payment, userId, note = '', options = {}) => {
+  if (!HELD_STATUSES.includes(payment.status)) {
+    throw new Error(`Cannot refund a payment that is ${payment.status}`);
+  }
+
+  return claimPayment(
+    payment,
+    sourceStatuses(options),
+    { status: 'refunded', refundedAt: new Date() },
+    { status: 'refunded', action: 'refunded', by: userId, note }
+  );
+};
+
+// Freeze held funds while a dispute is open so neither side can move them,
+// null when the payment was already moved
+const freezeFunds = async (payment, userId, note = '') => {
+  if (payment.status !== 'pending') {
+    throw new Error(`Cannot freeze a payment that is ${payment.status}`);
+  }
+
+  return claimPayment(
+    payment,
+    ['pending'],
+    { status: 'disputed' },
+    { status: 'disputed', action: 'frozen', by: userId, note }
+  );
+};
+
+// Pay `releaseAmount` to the freelancer and return the rest to the poster,
+// null when the payment was already moved
+const splitFunds = async (payment, releaseAmount, userId, note = '', options = {}) => {
+  if (!HELD_STATUSES.includes(payment.status)) {
+    throw new Error(`Cannot split a payment that is ${payment.status}`);
+  }
+  if (releaseAmount < 0 || releaseAmount > payment.amount) {
+    throw new Error('Split amount must be between 0 and the payment amount');
+  }
+
+  const now = new Date();
+  const split = await claimPayment(
+    payment,
+    sourceStatuses(options),
+    {
+      status: 'split',
+      releasedAmount: releaseAmount,
+      refundedAmount: payment.amount - releaseAmount,
+      releasedAt: now,
+      refundedAt: now
+    },
+    { status: 'split', action: 'split', by: userId, note }
+  );
+  if (!split) return null;
+
+  await User.findByIdAndUpdate(split.to, { $inc: { moneyEarned: releaseAmount } });
+  await User.findByIdAndUpdate(split.from, { $inc: { moneySpent: releaseAmount } });
+
+  if (releaseAmount > 0) {
+    await emailPaymentSent(split, releaseAmount);
+  }
+
+  return split;
+};
+
+module.exports = { HELD_STATUSES, holdFunds, releaseFunds, refundFunds, freezeFunds, splitFunds };
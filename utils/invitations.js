@@ -0,0 +1,38 @@
+const Invitation = require('../models/invitation.model');
+const Bid = require('../models/bid.model');
+
+// Invitations that still give the freelancer access to an invite-only job
+const ACTIVE_STATUSES = ['pending', 'accepted'];
+
+// Ids of the jobs a freelancer was invited to and hasn't declined
+const invitedJobIds = (userId) =>
+  Invitation.find({ freelancer: userId, status: { $in: ACTIVE_STATUSES } }).distinct('job');
+
+// Filter clause matching public jobs plus the invite-only ones in `jobIds`
+const visibleJobsClause = (jobIds = []) => ({
+  $or: [{ visibility: { $ne: 'invite-only' } }, { _id: { $in: jobIds } }]
+});
+
+// Invite-only jobs are open to their poster, admins, invited freelancers and
+// freelancers who bid before the job was made invite-only
+const canAccessJob = async (job, user) => {
+  if (job.visibility !== 'invite-only') return true;
+
+  const posterId = (job.jobPoster._id || job.jobPoster).toString();
+  if (posterId === user._id.toString() || user.userType === 'admin') return true;
+
+  const [invitation, bid] = await Promise.all([
+    Invitation.exists({ job: job._id, freelancer: user._id, status: { $in: ACTIVE_STATUSES } }),
+    Bid.exists({ job: job._id, freelancer: user._id })
+  ]);
+  return Boolean(invitation || bid);
+};
+
+// Bidding on a job answers a pending invitation to it
+const acceptInvitationByBid = (jobId, userId) =>
+  Invitation.updateOne(
+    { job: jobId, freelancer: userId, status: 'pending' },
+    { status: 'accepted', respondedAt: new Date() }
+  );
+
+module.exports = { invitedJobIds, visibleJobsClause, canAccessJob, acceptInvitationByBid };
@@ -0,0 +1,60 @@
+const Bid = require('../models/bid.model');
+const Job = require('../models/job.model');
+const Payment = require('../models/payment.model');
+const { holdFunds, releaseFunds } = require('./escrow');
+const { notifyJobStatus } = require('./notifications');
+
+// Release the job's escrowed payment to the freelancer and mark the job completed.
+// `userId` is who triggered it, null when done automatically. Returns null when
+// another request completed, disputed or canceled the job, or moved its payment, first.
+const completeJob = async (job, userId, note = 'Job marked as completed') => {
+  const bid = await Bid.findById(job.selectedBid);
+  if (!bid) {
+    throw new Error('Selected bid not found');
+  }
+
+  // Claim the job first so nothing else can act on it while the money moves
+  const completedAt = new Date();
+  const claimed = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'in-progress' },
+    { status: 'completed', completedAt }
+  );
+  if (!claimed) return null;
+
+  const undo = () => Job.updateOne(
+    { _id: job._id, status: 'completed' },
+    { status: 'in-progress', completedAt: null }
+  );
+
+  let released;
+  try {
+    let payment = await Payment.findOne({ job: job._id, bid: bid._id, milestone: null, status: 'pending' });
+    if (!payment) {
+      // Only jobs accepted before escrow existed have no payment at all. Any other
+      // payment was already released, refunded or frozen and must not be paid again.
+      if (await Payment.exists({ job: job._id })) {
+        throw new Error('The job has no payment held in escrow');
+      }
+      payment = await holdFunds(job, bid, userId || job.jobPoster);
+    }
+
+    released = await releaseFunds(payment, userId, note);
+  } catch (error) {
+    await undo();
+    throw error;
+  }
+
+  if (!released) {
+    await undo();
+    return null;
+  }
+
+  job.status = 'completed';
+  job.completedAt = completedAt;
+
+  await notifyJobStatus(job, 'job.completed', userId);
+
+  return released;
+};
+
+module.exports = { completeJob };
@@ -0,0 +1,143 @@
+const Job = require('../models/job.model');
+const Bid = require('../models/bid.model');
+const Deliverable = require('../models/deliverable.model');
+const { notify, notifyJobStatus } = require('./notifications');
+const { sendEmail } = require('./email');
+
+// How long before a delivery or milestone due date both parties are reminded
+const REMINDER_HOURS = Number(process.env.DUE_DATE_REMINDER_HOURS) || 24;
+
+const deliveryDueDate = (deliveryDays, from = new Date()) =>
+  new Date(from.getTime() + deliveryDays * 24 * 3600000);
+
+// Jobs posted before deadlines were stored as dates hold a millisecond timestamp
+const migrateNumericDeadlines = () =>
+  Job.collection.updateMany(
+    { deadline: { $type: 'number' } },
+    [{ $set: { deadline: { $toDate: '$deadline' } } }]
+  );
+
+// Expire open jobs whose deadline passed without a hire, returns how many expired
+const expireOpenJobs = async (now = new Date()) => {
+  const due = await Job.find({ status: 'open', deadline: { $lte: now } }).select('_id');
+
+  let expired = 0;
+  for (const { _id } of due) {
+    // Claim the job so a concurrent run doesn't notify twice
+    const job = await Job.findOneAndUpdate(
+      { _id, status: 'open', deadline: { $lte: now } },
+      { status: 'expired', expiredAt: now },
+      { new: true }
+    );
+    if (!job) continue;
+
+    await notifyJobStatus(job, 'job.expired');
+    expired += 1;
+  }
+
+  return expired;
+};
+
+// The work counts as delivered once a delivery was submitted, or for milestone
+// jobs once every milestone was submitted or paid
+const isDelivered = async (job) => {
+  if (job.milestones.length > 0) {
+    return job.milestones.every(milestone => ['submitted', 'paid'].includes(milestone.status));
+  }
+  return Boolean(await Deliverable.exists({ job: job._id }));
+};
+
+// Flag in-progress jobs whose delivery date passed without a delivery, returns how many
+const flagOverdueJobs = async (now = new Date()) => {
+  const due = await Job.find({ status: 'in-progress', overdueAt: null, deliveryDueAt: { $lte: now } });
+
+  let flagged = 0;
+  for (const job of due) {
+    if (await isDelivered(job)) continue;
+
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, overdueAt: null },
+      { overdueAt: now },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    await notifyJobStatus(claimed, 'job.overdue');
+    flagged += 1;
+  }
+
+  return flagged;
+};
+
+const remindParties = async (job, what, dueAt) => {
+  const bid = await Bid.findById(job.selectedBid).select('freelancer');
+  const parties = [job.jobPoster, bid?.freelancer].filter(Boolean);
+
+  for (const userId of parties) {
+    await notify(userId, 'job.reminder', {
+      title: `${what} for "${job.title}" is due soon`,
+      body: `Due ${dueAt.toUTCString()}`,
+      data: { jobId: job._id }
+    });
+    await sendEmail(userId, 'dueDateReminder', { jobId: job._id, jobTitle: job.title, what, dueAt });
+  }
+};
+
+const isDueSoon = (date, now, soon) => date > now && date <= soon;
+
+// Remind poster and freelancer of delivery and milestone due dates coming up within
+// REMINDER_HOURS, once per due date. Returns how many reminders went out.
+const sendDueReminders = async (now = new Date()) => {
+  const soon = new Date(now.getTime() + REMINDER_HOURS * 3600000);
+  let sent = 0;
+
+  const deliveries = await Job.find({
+    status: 'in-progress',
+    deliveryReminderSentAt: null,
+    deliveryDueAt: { $gt: now, $lte: soon }
+  });
+  for (const job of deliveries) {
+    if (await isDelivered(job)) continue;
+
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, deliveryReminderSentAt: null },
+      { deliveryReminderSentAt: now }
+    );
+    if (!claimed) continue;
+
+    await remindParties(job, 'The delivery', job.deliveryDueAt);
+    sent += 1;
+  }
+
+  const openMilestone = { status: { $in: ['pending', 'funded'] }, reminderSentAt: null };
+  const milestoneJobs = await Job.find({
+    status: 'in-progress',
+    milestones: { $elemMatch: { ...openMilestone, dueDate: { $gt: now, $lte: soon } } }
+  });
+  for (const job of milestoneJobs) {
+    for (const milestone of job.milestones) {
+      if (!['pending', 'funded'].includes(milestone.status) || milestone.reminderSentAt) continue;
+      if (!isDueSoon(milestone.dueDate, now, soon)) continue;
+
+      const claimed = await Job.findOneAndUpdate(
+        { _id: job._id, milestones: { $elemMatch: { _id: milestone._id, ...openMilestone } } },
+        { $set: { 'milestones.$.reminderSentAt': now } }
+      );
+      if (!claimed) continue;
+
+      await remindParties(job, `Milestone "${milestone.title}"`, milestone.dueDate);
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  REMINDER_HOURS,
+  deliveryDueDate,
+  migrateNumericDeadlines,
+  expireOpenJobs,
+  flagOverdueJobs,
+  sendDueReminders
+};
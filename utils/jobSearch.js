@@ -0,0 +1,188 @@
+const { check } = require('express-validator');
+const Job = require('../models/job.model');
+const { visibleJobsClause } = require('./invitations');
+
+const BUDGET_BOUNDARIES = [0, 100, 500, 1000, 5000];
+const DAY = 24 * 3600000;
+const POSTING_AGES = [
+  { label: '24h', days: 1 },
+  { label: '7d', days: 7 },
+  { label: '30d', days: 30 }
+];
+
+const SORTS = {
+  relevance: { score: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  budget_desc: { budget: -1, createdAt: -1 },
+  budget_asc: { budget: 1, createdAt: -1 },
+  deadline: { deadline: 1, createdAt: -1 },
+  bids_desc: { bidCount: -1, createdAt: -1 },
+  bids_asc: { bidCount: 1, createdAt: -1 }
+};
+
+// Turn getJobs query parameters into a Mongo filter on open, visible jobs. Invite-only
+// jobs are left out unless listed in `invitedJobIds`.
+const buildJobFilter = (
+  { keyword, minBudget, maxBudget, skills, postedWithin } = {},
+  { invitedJobIds = [] } = {}
+) => {
+  const filter = { status: 'open', takenDownAt: null, ...visibleJobsClause(invitedJobIds) };
+
+  if (keyword) {
+    filter.$text = { $search: keyword };
+  }
+
+  // Values that aren't numbers are ignored rather than matched as NaN
+  if (minBudget && Number.isFinite(Number(minBudget))) {
+    filter.budget = { ...filter.budget, $gte: Number(minBudget) };
+  }
+
+  if (maxBudget && Number.isFinite(Number(maxBudget))) {
+    filter.budget = { ...filter.budget, $lte: Number(maxBudget) };
+  }
+
+  // A comma separated string or an array of skill names
+  if (skills) {
+    const skillsArray = (Array.isArray(skills) ? skills : [skills])
+      .filter(skill => typeof skill === 'string')
+      .flatMap(skill => skill.split(','))
+      .map(skill => skill.trim())
+      .filter(Boolean);
+    if (skillsArray.length > 0) {
+      filter.skillsRequired = { $in: skillsArray };
+    }
+  }
+
+  if (postedWithin && Number(postedWithin) > 0) {
+    filter.createdAt = { $gte: new Date(Date.now() - Number(postedWithin) * DAY) };
+  }
+
+  return filter;
+};
+
+const bidCountLookup = [
+  {
+    $lookup: {
+      from: 'bids',
+      let: { jobId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$job', '$$jobId'] } } },
+        { $count: 'count' }
+      ],
+      as: 'bidStats'
+    }
+  },
+  { $addFields: { bidCount: { $ifNull: [{ $first: '$bidStats.count' }, 0] } } },
+  { $project: { bidStats: 0 } }
+];
+
+const jobPosterLookup = [
+  {
+    $lookup: {
+      from: 'users',
+      let: { posterId: '$jobPoster' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$posterId'] } } },
+        { $project: { fullName: 1, email: 1 } }
+      ],
+      as: 'jobPoster'
+    }
+  },
+  { $unwind: { path: '$jobPoster', preserveNullAndEmptyArrays: true } }
+];
+
+// Paginated, sorted job search with facet counts for the filter sidebar
+const searchJobs = async (filter, { sort, page = 1, limit = 20 } = {}) => {
+  const hasText = Boolean(filter.$text);
+  let sortKey = sort && SORTS[sort] ? sort : (hasText ? 'relevance' : 'newest');
+  // Relevance only exists for keyword searches
+  if (sortKey === 'relevance' && !hasText) sortKey = 'newest';
+
+  const sortsByBids = sortKey.startsWith('bids_');
+  const now = Date.now();
+
+  const results = sortsByBids
+    ? [...bidCountLookup, { $sort: SORTS[sortKey] }, { $skip: (page - 1) * limit }, { $limit: limit }]
+    : [{ $sort: SORTS[sortKey] }, { $skip: (page - 1) * limit }, { $limit: limit }, ...bidCountLookup];
+
+  const [outcome] = await Job.aggregate([
+    { $match: filter },
+    ...(hasText ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    {
+      $facet: {
+        jobs: [...results, ...jobPosterLookup],
+        total: [{ $count: 'count' }],
+        skills: [
+          { $unwind: '$skillsRequired' },
+          { $group: { _id: '$skillsRequired', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 25 }
+        ],
+        budget: [
+          {
+            $bucket: {
+              groupBy: '$budget',
+              boundaries: BUDGET_BOUNDARIES,
+              default: 'over',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        postingAge: [
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(POSTING_AGES.map(({ label, days }) => [
+                label,
+                { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - days * DAY)] }, 1, 0] } }
+              ]))
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const total = outcome.total[0]?.count || 0;
+  const ageCounts = outcome.postingAge[0] || {};
+
+  return {
+    jobs: outcome.jobs,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    sort: sortKey,
+    facets: {
+      skills: outcome.skills.map(item => ({ skill: item._id, count: item.count })),
+      budget: outcome.budget.map(item => {
+        const index = BUDGET_BOUNDARIES.indexOf(item._id);
+        return item._id === 'over'
+          ? { min: BUDGET_BOUNDARIES[BUDGET_BOUNDARIES.length - 1], max: null, count: item.count }
+          : { min: item._id, max: BUDGET_BOUNDARIES[index + 1], count: item.count };
+      }),
+      postingAge: POSTING_AGES.map(({ label, days }) => ({
+        label,
+        days,
+        count: ageCounts[label] || 0
+      }))
+    }
+  };
+};
+
+// Query parameter checks shared by the job search routes
+const jobSearchChecks = [
+  check('keyword', 'Keyword must be text').optional().isString(),
+  check('minBudget', 'Minimum budget must be a positive number').optional().isFloat({ min: 0 }),
+  check('maxBudget', 'Maximum budget must be a positive number').optional().isFloat({ min: 0 }),
+  check('skills', 'Skills must be a comma separated list or an array of skill names')
+    .optional()
+    .custom(skills => typeof skills === 'string' ||
+      (Array.isArray(skills) && skills.every(skill => typeof skill === 'string'))),
+  check('postedWithin', 'postedWithin must be a number of days between 1 and 365').optional().isInt({ min: 1, max: 365 }),
+  check('page', 'Page must be a positive whole number').optional().isInt({ min: 1 }),
+  check('limit', 'Limit must be a whole number between 1 and 100').optional().isInt({ min: 1, max: 100 })
+];
+
+module.exports = { SORTS, buildJobFilter, searchJobs, jobSearchChecks };
@@ -0,0 +1,73 @@
+const LoginLockout = require('../models/loginLockout.model');
+
+// After LOGIN_LOCKOUT_THRESHOLD failed logins in a row for an email from one IP, that IP
+// is locked out of the account, for LOGIN_LOCKOUT_MINUTES at first and twice as long with
+// every further failure. Other IPs can still log in, and a password reset lifts every lock.
+// So that rotating IPs doesn't get around it, failures from all IPs also add up to an
+// account-wide count, which locks the email everywhere after LOGIN_ACCOUNT_LOCKOUT_THRESHOLD.
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const ACCOUNT_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD) || 20;
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 1;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+// The account-wide count is stored under an ip no request has
+const ANY_IP = '*';
+
+const lockoutKey = (email, ip) => ({ email: String(email).toLowerCase(), ip: ip || 'unknown' });
+
+// Milliseconds until logins for `email` from `ip` open again, 0 when they aren't locked.
+// Works the same whether or not an account uses the email, so it reveals nothing.
+const lockoutRemaining = async (email, ip) => {
+  const { email: key, ip: ipKey } = lockoutKey(email, ip);
+  const lockouts = await LoginLockout.find({ email: key, ip: { $in: [ipKey, ANY_IP] } }).select('lockedUntil');
+  return Math.max(0, ...lockouts.map((lockout) => (lockout.lockedUntil?.getTime() || 0) - Date.now()));
+};
+
+// Count one failure under `key`, locking it once the count reaches `threshold`
+const countFailure = async (key, threshold) => {
+  const { failedAttempts } = await LoginLockout.findOneAndUpdate(
+    key,
+    { $inc: { failedAttempts: 1 }, $set: { lastFailedAt: new Date() } },
+    { new: true, upsert: true }
+  ).select('failedAttempts');
+
+  if (failedAttempts < threshold) return null;
+
+  const minutes = Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** (failedAttempts - threshold),
+    LOCKOUT_MAX_MINUTES
+  );
+  const lockedUntil = new Date(Date.now() + minutes * 60000);
+  await LoginLockout.updateOne(key, { lockedUntil });
+
+  return lockedUntil;
+};
+
+// Count a failed password or second-factor attempt, returns the lock end if it locked the login
+const recordFailedLogin = async (email, ip) => {
+  const [ipLock, accountLock] = await Promise.all([
+    countFailure(lockoutKey(email, ip), LOCKOUT_THRESHOLD),
+    countFailure(lockoutKey(email, ANY_IP), ACCOUNT_LOCKOUT_THRESHOLD)
+  ]);
+  if (!ipLock || !accountLock) return ipLock || accountLock;
+  return ipLock > accountLock ? ipLock : accountLock;
+};
+
+// A successful login from this IP clears its count. The account-wide count stays until it
+// expires or the password is reset, otherwise the owner logging in would restart it for an attacker.
+const resetFailedLogins = (email, ip) => LoginLockout.deleteOne(lockoutKey(email, ip));
+
+// A password reset proves the owner is back, so every lock on the account goes, account-wide included
+const clearLockouts = (email) => LoginLockout.deleteMany({ email: String(email).toLowerCase() });
+
+// 423 response for a locked login
+const sendLocked = (res, remainingMs) => {
+  const retryAfter = Math.ceil(remainingMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    message: `Too many failed logins, please try again in ${Math.ceil(retryAfter / 60)} minute(s) or reset your password`,
+    retryAfter
+  });
+};
+
+module.exports = { lockoutRemaining, recordFailedLogin, resetFailedLogins, clearLockouts, sendLocked };
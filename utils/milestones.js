@@ -0,0 +1,59 @@
+// Validate a milestone plan from the request body, returns { milestones } or { error }
+const parseMilestonePlan = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'Milestones must be a non-empty array' };
+  }
+
+  const milestones = [];
+  for (const item of input) {
+    const title = typeof item?.title === 'string' ? item.title.trim() : '';
+    const amount = Number(item?.amount);
+    const dueDate = new Date(item?.dueDate);
+
+    if (!title) {
+      return { error: 'Each milestone needs a title' };
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { error: `Milestone "${title}" needs a positive amount` };
+    }
+    if (Number.isNaN(dueDate.getTime()) || dueDate <= new Date()) {
+      return { error: `Milestone "${title}" needs a due date in the future` };
+    }
+
+    milestones.push({ title, amount, dueDate });
+  }
+
+  return { milestones };
+};
+
+// Match a freelancer's per-milestone prices against the job's plan.
+// Milestones the bid leaves out are priced at the planned amount.
+const buildBidMilestones = (job, input = []) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Bid milestones must be an array' };
+  }
+
+  const offered = new Map();
+  for (const item of input) {
+    const amount = Number(item?.amount);
+    if (!job.milestones.id(item?.milestone)) {
+      return { error: 'Bid references a milestone that is not part of this job' };
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { error: 'Each milestone bid needs a positive amount' };
+    }
+    offered.set(item.milestone.toString(), amount);
+  }
+
+  const milestones = job.milestones.map(milestone => ({
+    milestone: milestone._id,
+    amount: offered.get(milestone._id.toString()) ?? milestone.amount
+  }));
+
+  return {
+    milestones,
+    amount: milestones.reduce((sum, m) => sum + m.amount, 0)
+  };
+};
+
+module.exports = { parseMilestonePlan, buildBidMilestones };
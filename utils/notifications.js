@@ -0,0 +1,112 @@
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const Bid = require('../models/bid.model');
+const { emitToUser } = require('./realtime');
+const { sendEmail } = require('./email');
+
+// Notification type -> the User.notificationPreferences flag that turns it off
+const PREFERENCE_KEYS = {
+  'bid.created': 'bidCreated',
+  'bid.accepted': 'bidAccepted',
+  'bid.rejected': 'bidRejected',
+  'bid.countered': 'bidCountered',
+  'bid.updated': 'bidUpdated',
+  'job.canceled': 'jobCanceled',
+  'job.completed': 'jobCompleted',
+  'job.expired': 'jobExpired',
+  'job.overdue': 'jobOverdue',
+  'job.reminder': 'jobReminder',
+  'invitation.received': 'invitationReceived',
+  'invitation.accepted': 'invitationAnswered',
+  'invitation.declined': 'invitationAnswered',
+  'savedSearch.matched': 'savedSearchMatched',
+  'message.received': 'messageReceived'
+};
+
+// Store a notification and push it to the user's sockets, unless they opted out.
+// Never throws: a failed notification must not fail the action that caused it.
+const notify = async (userId, type, { title, body = '', data = {} }) => {
+  try {
+    const user = await User.findById(userId).select('notificationPreferences');
+    if (!user || user.notificationPreferences?.[PREFERENCE_KEYS[type]] === false) {
+      return null;
+    }
+
+    const notification = await Notification.create({ user: userId, type, title, body, data });
+    const unreadCount = await Notification.countDocuments({ user: userId, readAt: null });
+
+    emitToUser(userId, 'notification', { notification, unreadCount });
+    return notification;
+  } catch (error) {
+    console.error(`Notification ${type} error:`, error);
+    return null;
+  }
+};
+
+const notifyMany = (userIds, type, content) =>
+  Promise.all(userIds.map(userId => notify(userId, type, content)));
+
+// Everyone with a stake in the job: the poster and the hired freelancer,
+// or the freelancers still waiting on a bid while the job is open
+const jobAudience = async (job) => {
+  const audience = [job.jobPoster.toString()];
+
+  if (job.selectedBid) {
+    const bid = await Bid.findById(job.selectedBid).select('freelancer');
+    if (bid) audience.push(bid.freelancer.toString());
+  } else {
+    const bidders = await Bid.find({ job: job._id, status: 'pending' }).distinct('freelancer');
+    audience.push(...bidders.map(id => id.toString()));
+  }
+
+  return audience;
+};
+
+const STATUS_TITLES = {
+  'job.canceled': 'was canceled',
+  'job.completed': 'was completed',
+  'job.expired': 'expired without a hire',
+  'job.overdue': 'is past its delivery date'
+};
+
+// Tell the job's audience, except whoever caused it, about a change in the job's status.
+// Completions are emailed too.
+const notifyJobStatus = async (job, type, actorId = null) => {
+  try {
+    const audience = (await jobAudience(job)).filter(id => id !== actorId?.toString());
+
+    await notifyMany(audience, type, {
+      title: `"${job.title}" ${STATUS_TITLES[type]}`,
+      data: { jobId: job._id }
+    });
+
+    if (type === 'job.completed') {
+      for (const userId of audience) {
+        await sendEmail(userId, 'jobCompleted', { jobId: job._id, jobTitle: job.title });
+      }
+    }
+  } catch (error) {
+    console.error(`Notification ${type} error:`, error);
+  }
+};
+
+// Notify the other participants of a chat about a new message
+const notifyNewMessage = (chat, message, sender) => {
+  const senderId = (sender._id || sender).toString();
+  const recipients = chat.participants
+    .map(p => (p._id || p).toString())
+    .filter(id => id !== senderId);
+
+  const fileCount = message.attachments?.length || 0;
+  const preview = message.content
+    ? message.content.slice(0, 100)
+    : `Sent ${fileCount} file${fileCount === 1 ? '' : 's'}`;
+
+  return notifyMany(recipients, 'message.received', {
+    title: `New message from ${sender.fullName || 'a user'}`,
+    body: preview,
+    data: { chatId: chat._id, jobId: chat.job?._id || chat.job, messageId: message._id }
+  });
+};
+
+module.exports = { PREFERENCE_KEYS, notify, notifyMany, notifyJobStatus, notifyNewMessage };
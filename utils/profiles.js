@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Bid = require('../models/bid.model');
+const Job = require('../models/job.model');
+const Payment = require('../models/payment.model');
+const Review = require('../models/review.model');
+
+const COMPLETED_JOBS_SHOWN = 20;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Bid track record: win rate over decided bids, and the average delivery time
+// quoted on the bids the freelancer won
+const bidStats = async (freelancerId) => {
+  const [stats] = await Bid.aggregate([
+    { $match: { freelancer: new mongoose.Types.ObjectId(freelancerId), hiddenAt: null } },
+    {
+      $group: {
+        _id: null,
+        placed: { $sum: 1 },
+        accepted: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+        quotedDeliveryDays: { $avg: { $cond: [{ $eq: ['$status', 'accepted'] }, '$deliveryTime', null] } }
+      }
+    }
+  ]);
+
+  if (!stats) {
+    return { bidsPlaced: 0, bidsWon: 0, winRate: null, averageQuotedDeliveryDays: null };
+  }
+
+  const decided = stats.accepted + stats.rejected;
+  return {
+    bidsPlaced: stats.placed,
+    bidsWon: stats.accepted,
+    winRate: decided > 0 ? round(stats.accepted / decided) : null,
+    averageQuotedDeliveryDays: stats.quotedDeliveryDays === null ? null : round(stats.quotedDeliveryDays, 1)
+  };
+};
+
+// Completed jobs the freelancer was paid for, newest first. Invite-only and taken
+// down jobs are counted but not listed.
+const completedJobs = async (freelancerId) => {
+  const paidJobIds = await Payment.find({
+    to: freelancerId,
+    status: { $in: ['completed', 'split'] }
+  }).distinct('job');
+
+  const filter = { _id: { $in: paidJobIds }, status: 'completed' };
+
+  const [count, jobs] = await Promise.all([
+    Job.countDocuments(filter),
+    Job.find({ ...filter, visibility: { $ne: 'invite-only' }, takenDownAt: null })
+      .select('title skillsRequired completedAt jobPoster')
+      .populate('jobPoster', 'fullName')
+      .sort({ completedAt: -1 })
+      .limit(COMPLETED_JOBS_SHOWN)
+  ]);
+
+  const reviews = await Review.find({
+    reviewee: freelancerId,
+    job: { $in: jobs.map(job => job._id) },
+    visible: true
+  }).select('job rating');
+  const ratingByJob = new Map(reviews.map(review => [review.job.toString(), review.rating]));
+
+  return {
+    count,
+    jobs: jobs.map(job => ({
+      _id: job._id,
+      title: job.title,
+      skillsRequired: job.skillsRequired,
+      completedAt: job.completedAt,
+      client: job.jobPoster?.fullName || null,
+      rating: ratingByJob.get(job._id.toString()) ?? null
+    }))
+  };
+};
+
+module.exports = { bidStats, completedJobs };
@@ -0,0 +1,17 @@
+// Helpers for turning request query values into safe database queries
+
+// Text matched literally inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A `limit` query value as a whole number between 1 and `maxLimit`
+const clampLimit = (value, { defaultLimit = 20, maxLimit = 100 } = {}) =>
+  Math.min(Math.max(parseInt(value, 10) || defaultLimit, 1), maxLimit);
+
+// `page` and `limit` from the query string, with the documents to skip
+const pagination = (query, options) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = clampLimit(query.limit, options);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = { escapeRegex, clampLimit, pagination };
@@ -0,0 +1,31 @@
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+// Counter store for rate limits. Every store implements:
+//   increment(key, windowMs) -> { count, resetAt }
+//   reset(key)
+// Pick one with RATE_LIMIT_STORE, memory is the default.
+const drivers = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const driver = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown rate limit store "${driver}"`);
+    }
+    store = drivers[driver]();
+  }
+  return store;
+};
+
+// Swap the store, e.g. for tests
+const setStore = (backend) => {
+  store = backend;
+};
+
+module.exports = { getStore, setStore };
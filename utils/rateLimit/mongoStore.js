@@ -0,0 +1,29 @@
+const RateLimit = require('../../models/rateLimit.model');
+
+// Fixed-window counters in Mongo, shared by every server process
+const createMongoStore = () => ({
+  async increment(key, windowMs) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    // One atomic update: count up inside the window, start a new window otherwise
+    const counter = await RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    return { count: counter.count, resetAt: counter.resetAt };
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+});
+
+module.exports = createMongoStore;
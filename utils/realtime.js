@@ -0,0 +1,45 @@
+// Shared Socket.IO state so controllers can push events to connected users.
+// Presence is tracked in memory, which is enough for a single server process.
+
+let io = null;
+const connections = new Map();
+
+const setIO = (server) => {
+  io = server;
+};
+
+const userRoom = (userId) => `user_${userId}`;
+
+// Emit to every socket of a user, does nothing before the socket server starts
+const emitToUser = (userId, event, payload) => {
+  if (!io) return;
+  io.to(userRoom(userId.toString())).emit(event, payload);
+};
+
+// Close every socket of a user, e.g. when their account is suspended
+const disconnectUser = (userId) => {
+  if (!io) return;
+  io.in(userRoom(userId.toString())).disconnectSockets(true);
+};
+
+// Returns true when this is the user's first open connection
+const userConnected = (userId) => {
+  const count = connections.get(userId) || 0;
+  connections.set(userId, count + 1);
+  return count === 0;
+};
+
+// Returns true when the user's last connection closed
+const userDisconnected = (userId) => {
+  const count = (connections.get(userId) || 1) - 1;
+  if (count <= 0) {
+    connections.delete(userId);
+    return true;
+  }
+  connections.set(userId, count);
+  return false;
+};
+
+const isOnline = (userId) => connections.has(userId.toString());
+
+module.exports = { setIO, userRoom, emitToUser, disconnectUser, userConnected, userDisconnected, isOnline };
@@ -0,0 +1,79 @@
+// Local text matching used for recommendations, no external services involved
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'i', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'we', 'will',
+  'with', 'you', 'your', 'need', 'looking', 'who', 'can', 'should', 'must', 'using'
+]);
+
+const tokenize = (text = '') =>
+  text
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+const normalizeSkill = (skill = '') => skill.trim().toLowerCase();
+
+// Build TF-IDF vectors for a list of token arrays, sharing one IDF table
+const tfidfVectors = (documents) => {
+  const docFrequency = new Map();
+  documents.forEach(tokens => {
+    new Set(tokens).forEach(token => {
+      docFrequency.set(token, (docFrequency.get(token) || 0) + 1);
+    });
+  });
+
+  const total = documents.length;
+  return documents.map(tokens => {
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+    const vector = new Map();
+    counts.forEach((count, token) => {
+      const idf = Math.log((1 + total) / (1 + docFrequency.get(token))) + 1;
+      vector.set(token, (count / tokens.length) * idf);
+    });
+    return vector;
+  });
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((value, token) => {
+    normA += value * value;
+    if (b.has(token)) dot += value * b.get(token);
+  });
+  b.forEach(value => { normB += value * value; });
+
+  if (!normA || !normB) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+// Terms contributing most to the similarity of two vectors
+const topSharedTerms = (a, b, limit = 5) =>
+  [...a.keys()]
+    .filter(token => b.has(token))
+    .sort((x, y) => a.get(y) * b.get(y) - a.get(x) * b.get(x))
+    .slice(0, limit);
+
+// 1 when the amount equals the reference, dropping towards 0 as it moves a factor of 4 away
+const budgetFit = (amount, reference) => {
+  if (!amount || !reference) return null;
+  const distance = Math.abs(Math.log(amount / reference)) / Math.log(4);
+  return Math.max(0, 1 - distance);
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+module.exports = {
+  tokenize,
+  normalizeSkill,
+  tfidfVectors,
+  cosineSimilarity,
+  topSharedTerms,
+  budgetFit,
+  round
+};
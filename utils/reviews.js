@@ -0,0 +1,42 @@
+const Review = require('../models/review.model');
+const User = require('../models/user.model');
+
+const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+// Last moment a review can be left for a job completed at `completedAt`
+const reviewDeadline = (completedAt) =>
+  new Date(new Date(completedAt).getTime() + REVIEW_WINDOW_DAYS * 24 * 3600000);
+
+// Make reviews visible and fold their ratings into the reviewees' running averages
+const publishReviews = async (reviews) => {
+  for (const review of reviews) {
+    const published = await Review.findOneAndUpdate(
+      { _id: review._id, visible: false },
+      { visible: true },
+      { new: true }
+    );
+    // Another request already published it
+    if (!published) continue;
+
+    await User.findByIdAndUpdate(published.reviewee, [{
+      $set: {
+        ratingAverage: {
+          $divide: [
+            { $add: [{ $multiply: ['$ratingAverage', '$ratingCount'] }, published.rating] },
+            { $add: ['$ratingCount', 1] }
+          ]
+        },
+        ratingCount: { $add: ['$ratingCount', 1] }
+      }
+    }]);
+  }
+};
+
+// Publish hidden reviews whose window has closed without the other side reviewing
+const revealDueReviews = async () => {
+  const due = await Review.find({ visible: false, revealAt: { $lte: new Date() } });
+  await publishReviews(due);
+  return due.length;
+};
+
+module.exports = { REVIEW_WINDOW_DAYS, reviewDeadline, publishReviews, revealDueReviews };
@@ -0,0 +1,57 @@
+const Job = require('../models/job.model');
+const SavedSearch = require('../models/savedSearch.model');
+const { buildJobFilter } = require('./jobSearch');
+const { invitedJobIds } = require('./invitations');
+const { notify } = require('./notifications');
+
+const SAVED_SEARCH_LIMIT = Number(process.env.SAVED_SEARCH_LIMIT) || 20;
+
+// The getJobs filter of a saved search, for jobs the freelancer can see and didn't post
+const savedSearchFilter = async (search) => {
+  const { keyword, minBudget, maxBudget, skills } = search.filters;
+  return {
+    ...buildJobFilter(
+      { keyword, minBudget, maxBudget, skills },
+      { invitedJobIds: await invitedJobIds(search.user) }
+    ),
+    jobPoster: { $ne: search.user }
+  };
+};
+
+// Look for jobs posted since each saved search was last checked and alert its owner
+// in the notification feed. Returns how many searches had new matches.
+const checkSavedSearches = async (now = new Date()) => {
+  const searches = await SavedSearch.find({ alertsEnabled: true, lastCheckedAt: { $lt: now } });
+
+  let matched = 0;
+  for (const search of searches) {
+    try {
+      const jobs = await Job.find({
+        ...(await savedSearchFilter(search)),
+        createdAt: { $gt: search.lastCheckedAt, $lte: now }
+      })
+        .select('title')
+        .sort({ createdAt: -1 });
+
+      // Only the run that moves lastCheckedAt forward alerts, so concurrent runs don't repeat it
+      const claimed = await SavedSearch.updateOne(
+        { _id: search._id, lastCheckedAt: search.lastCheckedAt },
+        { lastCheckedAt: now, $inc: { newMatchCount: jobs.length } }
+      );
+      if (claimed.modifiedCount === 0 || jobs.length === 0) continue;
+
+      await notify(search.user, 'savedSearch.matched', {
+        title: `${jobs.length} new job${jobs.length === 1 ? '' : 's'} match "${search.name}"`,
+        body: jobs.slice(0, 3).map(job => job.title).join(', '),
+        data: { savedSearchId: search._id, jobIds: jobs.slice(0, 20).map(job => job._id) }
+      });
+      matched += 1;
+    } catch (error) {
+      console.error(`Saved search ${search._id} check failed:`, error);
+    }
+  }
+
+  return matched;
+};
+
+module.exports = { SAVED_SEARCH_LIMIT, savedSearchFilter, checkSavedSearches };
@@ -0,0 +1,66 @@
+// In-process scheduler for recurring maintenance tasks. Each task runs on its own
+// interval and never overlaps with itself; failures are logged and retried next tick.
+const tasks = new Map();
+
+const runTask = async (task) => {
+  if (task.running) return;
+
+  task.running = true;
+  const startedAt = new Date();
+  try {
+    task.lastResult = await task.run();
+    task.lastError = null;
+  } catch (error) {
+    task.lastError = error.message;
+    console.error(`Scheduled task ${task.name} failed:`, error);
+  } finally {
+    task.running = false;
+    task.lastRunAt = startedAt;
+  }
+};
+
+const schedule = (name, intervalMs, run, { runOnStart = true } = {}) => {
+  if (tasks.has(name)) {
+    throw new Error(`Task ${name} is already scheduled`);
+  }
+
+  tasks.set(name, {
+    name,
+    intervalMs,
+    run,
+    runOnStart,
+    running: false,
+    timer: null,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null
+  });
+};
+
+const startScheduler = () => {
+  for (const task of tasks.values()) {
+    if (task.timer) continue;
+
+    task.timer = setInterval(() => runTask(task), task.intervalMs);
+    if (task.runOnStart) runTask(task);
+  }
+};
+
+const stopScheduler = () => {
+  for (const task of tasks.values()) {
+    clearInterval(task.timer);
+    task.timer = null;
+  }
+};
+
+const schedulerStatus = () =>
+  [...tasks.values()].map(({ name, intervalMs, running, lastRunAt, lastResult, lastError }) => ({
+    name,
+    intervalMinutes: intervalMs / 60000,
+    running,
+    lastRunAt,
+    lastResult,
+    lastError
+  }));
+
+module.exports = { schedule, startScheduler, stopScheduler, schedulerStatus };
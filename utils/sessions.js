@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const REFRESH_COOKIE_PATH = '/user';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short readable label like "Chrome on Windows" for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[0] || 'Unknown browser', os?.[0]].filter(Boolean).join(' on ');
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a scan
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 3600000);
+
+// Only tokens with this audience are accepted as logins
+const ACCESS_TOKEN_AUDIENCE = 'session';
+
+const issueAccessToken = (user, session) =>
+  jwt.sign(
+    { userId: user._id, userType: user.userType, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m`, audience: ACCESS_TOKEN_AUDIENCE }
+  );
+
+// Start a session for a user who just logged in, returns the session and its refresh token
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('user-agent') || '',
+    device: describeDevice(req.get('user-agent')),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. Presenting a token that was already
+// rotated means it leaked, so the whole session is revoked.
+// Returns { session, refreshToken } or { error }, with `conflict` set when a concurrent
+// refresh won and the client should simply retry with the cookie that one set.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return { error: 'Session expired, please log in again' };
+  }
+
+  // Swap the hash only if it still matches what was presented, so of two refreshes
+  // racing with the same token exactly one rotates
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        expiresAt: refreshExpiry(),
+        lastSeenAt: new Date(),
+        ip: req.ip
+      }
+    },
+    { new: true }
+  );
+  if (rotated) {
+    return { session: rotated, refreshToken: nextToken };
+  }
+
+  // Only a token that was never this session's current one counts as reuse. One that
+  // was current when this request began lost a race with a concurrent refresh.
+  if (session.refreshTokenHash !== presentedHash) {
+    await revokeSession(session._id);
+    return { error: 'Refresh token reuse detected, please log in again' };
+  }
+
+  return { error: 'This session was just refreshed, please retry', conflict: true };
+};
+
+const revokeSession = (sessionId) =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+
+// Revoke the session a logging out client proves it holds: a refresh token matching the
+// stored hash, or an access token with a valid signature (expired ones still count).
+// Anything else is ignored, so nobody can sign out a session by guessing its id.
+const revokeCurrentSession = async ({ refreshToken, accessToken } = {}) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  if (sessionId && mongoose.isValidObjectId(sessionId)) {
+    const result = await Session.updateOne(
+      { _id: sessionId, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (result.modifiedCount > 0) return true;
+  }
+
+  if (accessToken) {
+    try {
+      const { sessionId: accessSessionId } = jwt.verify(accessToken, process.env.JWT_SECRET, {
+        audience: ACCESS_TOKEN_AUDIENCE,
+        ignoreExpiration: true
+      });
+      if (accessSessionId && mongoose.isValidObjectId(accessSessionId)) {
+        const result = await revokeSession(accessSessionId);
+        return result.modifiedCount > 0;
+      }
+    } catch {
+      // Forged or malformed, only the cookies get cleared
+    }
+  }
+
+  return false;
+};
+
+// Revoke every session of a user, optionally keeping one (the caller's)
+const revokeAllSessions = async (userId, { except = null } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+const cookieOptions = (path = '/') => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path
+});
+
+// Start a session and set its cookies, the last step of every successful login
+const signIn = async (req, res, user) => {
+  const { session, refreshToken } = await createSession(user, req);
+  setAuthCookies(res, issueAccessToken(user, session), refreshToken);
+  return session;
+};
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie('token', accessToken, {
+    ...cookieOptions(),
+    maxAge: ACCESS_TOKEN_MINUTES * 60000
+  });
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions(REFRESH_COOKIE_PATH),
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 3600000
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token', cookieOptions());
+  res.clearCookie('refreshToken', cookieOptions(REFRESH_COOKIE_PATH));
+};
+
+module.exports = {
+  ACCESS_TOKEN_AUDIENCE,
+  hashToken,
+  describeDevice,
+  issueAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeCurrentSession,
+  revokeAllSessions,
+  signIn,
+  setAuthCookies,
+  clearAuthCookies
+};
@@ -0,0 +1,58 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+
+// File storage used for uploads. Every backend implements:
+//   save(buffer, { folder, filename }) -> key
+//   exists(key) -> boolean
+//   createReadStream(key) -> Readable
+//   remove(key)
+// Register other backends (S3, GCS, ...) here and pick one with STORAGE_DRIVER.
+const drivers = {
+  local: () => createLocalStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+  })
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver "${driver}"`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+// Swap the backend, e.g. for tests
+const setStorage = (backend) => {
+  storage = backend;
+};
+
+// Stream a stored attachment as a download, answering 404 when its file is gone
+const sendAttachment = async (res, attachment) => {
+  const storage = getStorage();
+  if (!(await storage.exists(attachment.key))) {
+    return res.status(404).json({ message: 'File is missing' });
+  }
+
+  res.attachment(attachment.filename);
+  res.type(attachment.mimeType);
+  res.set('Content-Length', String(attachment.size));
+  res.set('X-Content-Type-Options', 'nosniff');
+
+  const stream = storage.createReadStream(attachment.key);
+  stream.on('error', (error) => {
+    console.error('Attachment stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    } else {
+      res.destroy(error);
+    }
+  });
+  stream.pipe(res);
+};
+
+module.exports = { getStorage, setStorage, sendAttachment };
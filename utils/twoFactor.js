@@ -0,0 +1,76 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const { hashToken } = require('./sessions');
+const { decryptSecret, verifyCode, normalizeRecoveryCode } = require('./totp');
+
+const LOGIN_TICKET_MINUTES = 5;
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Short-lived proof that the password step of a login succeeded
+const issueLoginTicket = (user) =>
+  jwt.sign({ userId: user._id, purpose: '2fa-login' }, process.env.JWT_SECRET, {
+    expiresIn: `${LOGIN_TICKET_MINUTES}m`
+  });
+
+// Returns the user id of a valid login ticket, null otherwise
+const verifyLoginTicket = (ticket) => {
+  try {
+    const { userId, purpose } = jwt.verify(ticket, process.env.JWT_SECRET);
+    return purpose === '2fa-login' ? userId : null;
+  } catch {
+    return null;
+  }
+};
+
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+// Load a user with their two-factor secrets
+const findUserWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// Check an authenticator code or, failing that, a recovery code for a user loaded with
+// findUserWithSecrets. Used recovery codes are removed and used steps remembered, so
+// neither can be replayed. Both are consumed with a conditional update, so two requests
+// racing with the same code can't both pass. Returns 'totp', 'recovery' or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code, {
+      lastUsedStep: user.twoFactor.lastUsedStep
+    });
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!user.twoFactor.recoveryCodes.includes(hash)) return null;
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(stored => stored !== hash);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+module.exports = {
+  issueLoginTicket,
+  verifyLoginTicket,
+  hashRecoveryCode,
+  findUserWithSecrets,
+  verifySecondFactor
+};